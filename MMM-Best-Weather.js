@@ -15,6 +15,52 @@
  *                        (tOpt, sigma, wcOverrides). Added optional score display (showScore).
  *   2026-02-19: Added level-based logging (DebugLevel config parameter).
  *              Replaced all Log.log/info/warn/error with _log() helper using BestWeather prefix.
+ *   2026-10-19: Added Top-N ranking view (maxRanked): compact table of the best N cities
+ *              with temperature gradient colors, built from the ranking sent by node_helper.
+ *   2026-10-19: Added forecast mode (mode, forecastDays, forecastHours); the winning city is shown
+ *              together with the day(s) and hour span of the forecast window.
+ *   2026-10-19: Added scoreProfile. tOpt, sigma and wcOverrides are no longer defaults here but
+ *              optional overrides of the selected profile (defaults live in lib/scoring.js).
+ *   2026-10-19: Support for multiple instances: per-instance city list (cities, citiesFile).
+ *              FETCH_WEATHER carries the module identifier, notifications for other instances are ignored.
+ *   2026-10-19: Added provider, fallbackProviders and providerOptions (weather provider abstraction).
+ *   2026-10-19: Fetch errors no longer blank the display: the last valid TOP1 is kept with a
+ *              "stale since HH:MM" marker until maxStaleness is exceeded (fetchRetries, fetchRetryDelayMs, maxStaleness).
+ *   2026-10-19: Removed the frontend update timer (scheduleUpdate). node_helper schedules all fetches
+ *              centrally and pushes WEATHER_DATA; the module only registers once on start.
+ *   2026-10-19: Shows a notice with the reset time when the daily query budget is used up.
+ *   2026-10-19: TOP1 history is kept and persisted by node_helper (historyLength, default 2) and rendered
+ *              with the time each city became TOP1 and how long it held the spot.
+ *   2026-10-19: Optional leaderboard view (showLeaderboard, leaderboardPeriod, leaderboardSize) built by
+ *              node_helper from the statistics file: TOP1 count, average winning score and longest streak.
+ *   2026-10-19: Added statisticsFormat, statisticsLogAllCities, statisticsRotation and statisticsRetentionMonths.
+ *   2026-10-19: "Best weather near me": homeLocation, maxDistanceKm, states and distancePenaltyPer100Km.
+ *              Distance and compass direction from home are shown next to the city (showDistance).
+ *   2026-10-19: Home city comparison line below the TOP1 (homeCity): temperature, rank and score of the own city.
+ *   2026-10-19: Score breakdown panel (showScoreBreakdown): bars for the facets TC, A and P, the weather code
+ *              multiplier and the raw drivers (feels-like temperature, cloud cover, precipitation, wind).
+ *   2026-10-19: TOP1 hysteresis (stabilityMargin, stabilityFetches) and tie reporting (tieThreshold):
+ *              tied cities are shown together, e.g. "Freiburg & Karlsruhe".
+ *   2026-10-19: Broadcasts BEST_WEATHER_UPDATED (TOP1 and full ranking) to other modules and accepts
+ *              BEST_WEATHER_REFRESH, BEST_WEATHER_SET_PROFILE and BEST_WEATHER_SET_REGION.
+ *   2026-10-19: Added apiToken for the refresh route of the node_helper's JSON API.
+ *   2026-10-19: Map view (displayMode: "map"): SVG of the region outline (mapOutline) with every city as a dot
+ *              colored by score (mapScoreGradient) or temperature (mapColorBy), TOP1 marked with its icon.
+ *   2026-10-19: Optional air quality facets (airQuality, airQualityCurves); the breakdown panel shows their
+ *              values and multipliers.
+ *   2026-10-19: Night handling (nightMode, nightProfile, morningHours) and sunrise/sunset of the TOP1 (showSunTimes).
+ *   2026-10-19: Localized weather condition text below the icon (showCondition, WMO_<code> keys), durations and
+ *              error messages translated; French, Italian, Dutch and Spanish translations (English as fallback).
+ *   2026-10-19: Unit system (units, windUnits, precipitationUnits): node_helper keeps scoring in metric units,
+ *              temperatures, wind, precipitation and distances are converted for display. With "imperial",
+ *              tempColorGradient (default gradient converted) and tOpt/sigma are given in °F.
+ *   2026-10-19: Config diagnostics (showConfigWarnings): CONFIG_WARNINGS from node_helper (options, city list)
+ *              and invalid colors found here are shown in a dimmed line. FETCH_WEATHER carries the known option names.
+ *   2026-10-19: Added instanceId (stable name of the cache and history files in node_helper).
+ *   2026-10-19: FETCH_WEATHER and REFRESH_WEATHER carry initialConfig (the config before any runtime notification),
+ *              from which node_helper derives the instance key.
+ *   2026-10-19: Gradient colors (tempColorGradient, mapScoreGradient) are resolved to RGB once and cached until the
+ *              gradient changes, instead of on every color lookup (one forced style recalculation per point).
  */
 
 Module.register("MMM-Best-Weather", {
@@ -72,30 +118,91 @@ Module.register("MMM-Best-Weather", {
         lang: config.language, // Language from MagicMirror configuration
         decimalPlacesTemp: 1, // Number of decimal places for temperature
 
-        // HCI-adapted score parameters
-        tOpt: 22, // Optimal apparent temperature (°C) for Gaussian thermal comfort curve
-        sigma: 10, // Gaussian width — how quickly comfort drops away from tOpt
-        wcOverrides: { // Weather code override multipliers (0.0 = worst, 1.0 = no penalty)
-            0: 1.0, 1: 1.0, 2: 1.0,       // Clear / mainly clear / partly cloudy
-            3: 0.9,                          // Overcast
-            45: 0.7, 48: 0.7,               // Fog / depositing rime fog
-            51: 0.7, 53: 0.7, 55: 0.7,      // Drizzle (light / moderate / dense)
-            56: 0.5, 57: 0.5,               // Freezing drizzle
-            61: 0.6, 63: 0.4, 65: 0.3,      // Rain (slight / moderate / heavy)
-            66: 0.3, 67: 0.3,               // Freezing rain
-            71: 0.4, 73: 0.4, 75: 0.3, 77: 0.4, // Snow
-            80: 0.5, 81: 0.3, 82: 0.3,      // Rain showers
-            85: 0.4, 86: 0.3,               // Snow showers
-            95: 0.2, 96: 0.1, 99: 0.1       // Thunderstorms
-        },
+        // Display units: "metric" (°C, km/h, mm, km) or "imperial" (°F, mph, inch, mi). Scoring always works in
+        // metric units; with "imperial", tempColorGradient, tOpt and sigma are given in °F
+        units: config.units,
+        windUnits: null, // Override of the wind unit: "kmh", "ms", "mph" or "kn"
+        precipitationUnits: null, // Override of the precipitation unit: "mm" or "inch"
+
+        // City list: inline array of { city, state, lat, lon } (takes precedence) or JSON file
+        // (relative to the module directory or absolute path)
+        cities: null,
+        citiesFile: "cities.json",
+        instanceId: null, // Stable name for the cache and TOP1 history files (default: derived from the city selection, provider, mode and scoreProfile)
+
+        // Home location { lat, lon }: enables distance/direction display, maxDistanceKm and the travel penalty
+        homeLocation: null,
+        maxDistanceKm: 0, // Only consider cities within this distance from homeLocation (0 = no limit)
+        states: [], // Only consider cities of these states (cities.json "state"), e.g. ["Bayern", "Baden-Württemberg"]
+        distancePenaltyPer100Km: 0, // Score points subtracted per 100 km from homeLocation (0 = no penalty)
+        showDistance: true, // Show "142 km SW" next to the city if homeLocation is set
+        homeCity: null, // Own city for the comparison line: name from the city list or { lat, lon, name }
+
+        // Weather provider: "openmeteo", "brightsky" (DWD, Germany only) or "metno" (MET Norway)
+        provider: "openmeteo",
+        fallbackProviders: [], // Providers tried in order if the primary provider fails, e.g. ["metno"]
+        fetchRetries: 3, // Retries per provider after a failed fetch (exponential backoff with jitter)
+        fetchRetryDelayMs: 2000, // Delay before the first retry, doubled for every further retry
+        maxStaleness: 3 * 60 * 60 * 1000, // Keep showing the last good data this long (ms) before showing an error
+        providerOptions: {}, // Per provider options, e.g. { metno: { userAgent: "...", concurrency: 4 }, openmeteo: { baseUrl: "..." } }
+
+        // Scoring mode: "current" (best weather right now) or "forecast" (best weather in a future window)
+        mode: "current",
+        forecastDays: "tomorrow", // "today", "tomorrow", "weekend", weekday name (e.g. "saturday") or day offset 0-6
+        forecastHours: [10, 18], // Local hour span [from, to) averaged in forecast mode
+
+        // Night: "off" (day profile around the clock), "profile" (cities after sunset are scored with nightProfile)
+        // or "nextMorning" (while it is night: best city for the next morning, see morningHours)
+        nightMode: "off",
+        nightProfile: "Stargazing", // Built-in profile name or custom profile object for nightMode: "profile"
+        morningHours: [8, 12], // Local hour span [from, to) scored by nightMode: "nextMorning"
+        showSunTimes: false, // Show sunrise and sunset of the TOP1 city
+        showCondition: true, // Show the weather condition of the TOP1 below the icon, e.g. "Partly cloudy"
+
+        // Scoring profile: built-in name ("HCI:Beach", "HCI:Urban", "Hiking", "Cycling", "Skiing")
+        // or custom object, e.g. { extends: "Cycling", windSlope: 0.5 }.
+        // Optional overrides on top of the profile: tOpt, sigma, wcOverrides
+        scoreProfile: "HCI:Beach",
         showScore: false, // If true, show HCI score next to city name, e.g. "Freiburg (29)"
+        showScoreBreakdown: false, // Explain the TOP1 score: facet bars (TC, A, P), WC multiplier and raw weather values
+        // Optional air quality facets from Open-Meteo's air quality API, each a score multiplier (one extra query per city):
+        // "europeanAqi", "uvIndex", "birchPollen", "grassPollen". [] = off
+        airQuality: [],
+        airQualityCurves: {}, // Penalty curves per facet, e.g. { birchPollen: [[10, 1.0], [100, 0.5]] } ([value, multiplier] points)
         showTop1History: false, // boolean, whether to display the history of TOP1 cities
+        historyLength: 2, // Number of TOP1 history entries (current TOP1 included), kept by node_helper across restarts
+        maxRanked: 0, // Number of cities shown in the ranking table below the TOP1 (0 = TOP1 only)
+        displayMode: "list", // "list" (ranking table, see maxRanked) or "map" (all cities on a map below the TOP1)
+        mapOutline: "regions/germany.json", // GeoJSON outline of the region (Polygon/MultiPolygon), relative to the module directory
+        mapColorBy: "score", // Dot color: "score" (mapScoreGradient) or "temperature" (tempColorGradient)
+        mapWidth: 300, // Width of the map in pixels (the height follows from the region)
+        // Score points and their colors for mapColorBy: "score", interpolated like tempColorGradient
+        mapScoreGradient: [
+            { score: 0, color: "#d7301f" },
+            { score: 50, color: "#fdd835" },
+            { score: 100, color: "#43a047" }
+        ],
+
+        // Against TOP1 flapping: the current TOP1 stays until a challenger leads by more than stabilityMargin
+        // score points or in stabilityFetches consecutive fetches (0 / 1 = switch to any leader)
+        stabilityMargin: 0,
+        stabilityFetches: 1,
+        tieThreshold: 0, // Cities within this many score points of the TOP1 are shown as tied, e.g. "Freiburg & Karlsruhe"
+        showLeaderboard: false, // Show the leaderboard built from the statistics file (requires statisticsFileName)
+        leaderboardPeriod: "week", // "day", "week" or "month" (the current one)
+        leaderboardSize: 3, // Number of cities in the leaderboard
+        apiToken: null, // Token required by POST /MMM-Best-Weather/api/refresh (null = no token needed)
+        showConfigWarnings: true, // Show config problems (unknown options, invalid values, city list errors) in a dimmed line
 
         // New config parameters for dynamic update interval
-        openmeteoMaxQueriesPerDay: 5000, // Maximum Open-Meteo queries allowed per day for this module
+        openmeteoMaxQueriesPerDay: 5000, // Maximum Open-Meteo queries per UTC day (each city counts as one query)
 
         // Statistics file (new HCI format, old CSV remains as archive)
         statisticsFileName: "BestWeatherStatisticsHCI.csv", // File name for statistics
+        statisticsFormat: "csv", // "csv", "jsonl" (JSON Lines, ISO-8601 UTC timestamps) or "sqlite" (needs better-sqlite3)
+        statisticsLogAllCities: false, // Log every city with its rank per fetch, not only the TOP1 (CSV: separate "-ranking" file)
+        statisticsRotation: "none", // "none" or "monthly" (one file per month, e.g. BestWeatherStatisticsHCI-2026-10.csv)
+        statisticsRetentionMonths: 0, // With monthly rotation: number of months to keep (0 = keep all)
 
         // New color parameters
         cityColor: "white", // Color for the city name
@@ -126,11 +233,18 @@ Module.register("MMM-Best-Weather", {
     start: function() {
         this.weatherData = null; // Stores the fetched weather data
         this.loaded = false; // Flag if data has been loaded
-        this.top1History = []; // Initializes the buffer for the TOP1 history
-        this.currentUpdateTimer = null; // Stores the timer for updates
+        this.budgetNotice = null; // Query budget info while the daily budget is used up
+        this.errorCode = null; // Code of the last WEATHER_ERROR (translated as ERROR_<code>)
+        this.configWarnings = []; // CONFIG_WARNINGS of node_helper: [{ key, message }]
+        this.gradientCache = {}; // Resolved gradient points per option name, see getGradientPoints()
+        this.colorWarnings = this.validateColors(); // Colors can only be checked by the browser
+        this.initialConfig = JSON.parse(JSON.stringify(this.config)); // As set in config.js (notifications change this.config)
+        // The default gradient is in °C: convert it when the gradient is read in °F
+        if (this.config.units === "imperial" && JSON.stringify(this.config.tempColorGradient) === JSON.stringify(this.defaults.tempColorGradient)) {
+            this.config.tempColorGradient = this.defaults.tempColorGradient.map(point => ({ temp: Math.round(this.convertTemperature(point.temp)), color: point.color }));
+        }
         this._log("INFO", "Module starting, requesting initial data");
-        this.getWeatherData(); // Starts the first data fetch
-        // scheduleUpdate will be called after first data fetch with calculated interval
+        this.getWeatherData(); // Registers with node_helper, which pushes all further updates
     },
 
     // CSS files to be loaded
@@ -139,26 +253,44 @@ Module.register("MMM-Best-Weather", {
     },
 
     // Translations for the module
+    // English comes first: MagicMirror falls back to the first language for keys missing in the active one
     getTranslations: function() {
         return {
             en: "translations/en.json",
-            de: "translations/de.json"
+            de: "translations/de.json",
+            fr: "translations/fr.json",
+            it: "translations/it.json",
+            nl: "translations/nl.json",
+            es: "translations/es.json"
         };
     },
 
-    // Helper function to get the interpolated temperature color
-    getTemperatureColor: function(temp) {
+    // Points of a gradient option (tempColorGradient, mapScoreGradient) sorted by 'field', each with the original
+    // color name as 'colorName' and the resolved RGB as 'rgb'. cssColorToRgb forces a style recalculation, so the
+    // points are resolved once and cached until the option changes.
+    getGradientPoints: function(key, field) {
+        const gradient = Array.isArray(this.config[key]) ? this.config[key] : [];
+        const source = JSON.stringify(gradient);
+        if (!this.gradientCache[key] || this.gradientCache[key].source !== source) {
+            const points = gradient
+                .map(point => ({ [field]: point[field], colorName: point.color, rgb: this.cssColorToRgb(point.color) }))
+                .sort((a, b) => a[field] - b[field]);
+            this.gradientCache[key] = { source: source, points: points };
+        }
+        return this.gradientCache[key].points;
+    },
+
+    // Helper function to get the interpolated temperature color (temp in °C, gradient in display units)
+    getTemperatureColor: function(celsius) {
         if (!this.config.tempSensitive) {
             return this.config.temperatureColor; // Use fixed color if not sensitive
         }
+        const temp = this.convertTemperature(celsius);
 
-        // Resolve named colors and sort gradient points by temperature
-        const gradientPoints = this.config.tempColorGradient
-            // Store original color name as 'colorName' and resolved RGB as 'rgb'
-            .map(point => ({ temp: point.temp, colorName: point.color, rgb: this.cssColorToRgb(point.color) }))
-            .sort((a, b) => a.temp - b.temp); // Ensure points are sorted by temperature
+        // Gradient points with resolved colors, sorted by temperature
+        const gradientPoints = this.getGradientPoints("tempColorGradient", "temp");
 
-        this._log("DEBUG", `Calculating color for temp ${temp}°C`);
+        this._log("DEBUG", `Calculating color for temp ${temp}°`);
 
         if (gradientPoints.length === 0) {
             this._log("WARN", "tempColorGradient is empty. Defaulting to white.");
@@ -183,17 +315,17 @@ Module.register("MMM-Best-Weather", {
 
         // Handle temperatures outside the defined range
         if (temp < gradientPoints[0].temp) {
-            this._log("DEBUG", `Temp ${temp}°C below lowest point ${gradientPoints[0].temp}°C. Using color of lowest point (${gradientPoints[0].colorName}).`);
+            this._log("DEBUG", `Temp ${temp}° below lowest point ${gradientPoints[0].temp}°. Using color of lowest point (${gradientPoints[0].colorName}).`);
             return `rgb(${gradientPoints[0].rgb.r}, ${gradientPoints[0].rgb.g}, ${gradientPoints[0].rgb.b})`;
         }
         if (temp > gradientPoints[gradientPoints.length - 1].temp) {
-            this._log("DEBUG", `Temp ${temp}°C above highest point ${gradientPoints[gradientPoints.length - 1].temp}°C. Using color of highest point (${gradientPoints[gradientPoints.length - 1].colorName}).`);
+            this._log("DEBUG", `Temp ${temp}° above highest point ${gradientPoints[gradientPoints.length - 1].temp}°. Using color of highest point (${gradientPoints[gradientPoints.length - 1].colorName}).`);
             return `rgb(${gradientPoints[gradientPoints.length - 1].rgb.r}, ${gradientPoints[gradientPoints.length - 1].rgb.g}, ${gradientPoints[gradientPoints.length - 1].rgb.b})`;
         }
 
         // If for some reason lowerPoint or upperPoint are still null (shouldn't happen with the above checks)
         if (!lowerPoint || !upperPoint) {
-            this._log("ERROR", `Logic error in getTemperatureColor for temp ${temp}°C. Falling back to white.`);
+            this._log("ERROR", `Logic error in getTemperatureColor for temp ${temp}°. Falling back to white.`);
             return "rgb(255, 255, 255)";
         }
 
@@ -206,7 +338,7 @@ Module.register("MMM-Best-Weather", {
         const b = Math.round(lowerPoint.rgb.b + factor * (upperPoint.rgb.b - lowerPoint.rgb.b));
 
         const finalColor = `rgb(${r}, ${g}, ${b})`;
-        this._log("DEBUG", `Temp ${temp}°C, Segment: ${lowerPoint.temp}°C (${lowerPoint.colorName}) to ${upperPoint.temp}°C (${upperPoint.colorName}), Factor: ${factor.toFixed(4)}, Final Color: ${finalColor}`);
+        this._log("DEBUG", `Temp ${temp}°, Segment: ${lowerPoint.temp}° (${lowerPoint.colorName}) to ${upperPoint.temp}° (${upperPoint.colorName}), Factor: ${factor.toFixed(4)}, Final Color: ${finalColor}`);
         return finalColor;
     },
 
@@ -224,8 +356,14 @@ Module.register("MMM-Best-Weather", {
 
         if (!this.weatherData) {
             this._log("DEBUG", "getDom: no weather data");
-            wrapper.innerHTML = this.translate("NO_WEATHER_DATA");
+            wrapper.innerHTML = this.budgetNotice
+                ? this.translate("BUDGET_EXHAUSTED", { time: moment(this.budgetNotice.resetAt).format("HH:mm") })
+                : this.translate(this.errorCode ? "ERROR_" + this.errorCode : "NO_WEATHER_DATA");
             wrapper.className += " dimmed light small";
+            var noDataDiagnostics = this.getDiagnosticsDom();
+            if (noDataDiagnostics) {
+                wrapper.appendChild(noDataDiagnostics);
+            }
             return wrapper;
         }
 
@@ -250,40 +388,126 @@ Module.register("MMM-Best-Weather", {
         // Temperature
         var temperature = document.createElement("span");
         temperature.className = "temperature";
-        temperature.innerHTML = this.weatherData.temperature.toFixed(this.config.decimalPlacesTemp) + "&deg;";
+        temperature.innerHTML = this.formatTemperature(this.weatherData.temperature);
         temperature.style.color = this.getTemperatureColor(this.weatherData.temperature);
         weatherDetails.appendChild(temperature);
 
         currentWeatherWrapper.appendChild(weatherDetails);
 
+        // Weather condition text of the WMO code, e.g. "Partly cloudy"
+        if (this.config.showCondition && this.weatherData.weatherCode !== undefined) {
+            var condition = document.createElement("div");
+            condition.className = "weather-condition small";
+            condition.innerHTML = this.getConditionText(this.weatherData.weatherCode);
+            currentWeatherWrapper.appendChild(condition);
+        }
+
         // --- ADAPTATION OF WIND INFORMATION TO CITY NAME ---
         var cityNameInfo = document.createElement("div");
         cityNameInfo.className = "city-name-info";
         var cityNameSpan = document.createElement("span");
         cityNameSpan.className = "city-name";
+        // Tied cities are named together: "Freiburg & Karlsruhe", more than three as "Freiburg & Karlsruhe & Lahr +2"
+        var tiedWith = this.weatherData.tiedWith || [];
+        var cityNames = [this.weatherData.cityName].concat(tiedWith.slice(0, 2)).join(" &amp; ")
+            + (tiedWith.length > 2 ? " +" + (tiedWith.length - 2) : "");
         cityNameSpan.innerHTML = this.config.showScore && this.weatherData.score !== undefined
-            ? this.weatherData.cityName + " (" + Math.round(this.weatherData.score) + ")"
-            : this.weatherData.cityName;
+            ? cityNames + " (" + Math.round(this.weatherData.score) + ")"
+            : cityNames;
         cityNameInfo.appendChild(cityNameSpan);
+        // Distance and direction from homeLocation, e.g. "Freiburg · 142 km SW"
+        if (this.config.showDistance && this.weatherData.distanceKm !== null && this.weatherData.distanceKm !== undefined) {
+            var distanceSpan = document.createElement("span");
+            distanceSpan.className = "city-distance dimmed";
+            distanceSpan.innerHTML = " &middot; " + this.formatDistance(this.weatherData.distanceKm, this.weatherData.direction);
+            cityNameInfo.appendChild(distanceSpan);
+        }
+        // Forecast mode: day(s) and hour span the winner was determined for (nightMode "nextMorning": the next morning)
+        if (this.weatherData.forecast) {
+            var forecastSpan = document.createElement("div");
+            forecastSpan.className = "forecast-window xsmall dimmed";
+            forecastSpan.innerHTML = this.translate(this.weatherData.forecast.nextMorning ? "NEXT_MORNING" : "FORECAST_WINDOW", {
+                days: this.weatherData.forecast.dates.map(date => moment(date, "YYYY-MM-DD").format("dd")).join("/"),
+                from: this.weatherData.forecast.fromHour,
+                to: this.weatherData.forecast.toHour
+            });
+            cityNameInfo.appendChild(forecastSpan);
+        }
+        // nightMode "profile": the TOP1 was scored with the night profile
+        if (this.weatherData.night) {
+            var nightSpan = document.createElement("div");
+            nightSpan.className = "night-profile xsmall dimmed";
+            nightSpan.innerHTML = this.translate("NIGHT_PROFILE", { profile: this.weatherData.scoreProfile });
+            cityNameInfo.appendChild(nightSpan);
+        }
+        // Sunrise and sunset of the TOP1 city
+        if (this.config.showSunTimes && this.weatherData.sunTimes) {
+            var sunTimes = document.createElement("div");
+            sunTimes.className = "sun-times xsmall dimmed";
+            sunTimes.innerHTML = `<span class="wi wi-sunrise"></span> ${moment(this.weatherData.sunTimes.sunrise).format("HH:mm")}`
+                + ` <span class="wi wi-sunset"></span> ${moment(this.weatherData.sunTimes.sunset).format("HH:mm")}`;
+            cityNameInfo.appendChild(sunTimes);
+        }
         cityNameInfo.style.color = this.config.cityColor; // Apply color for city name
+        // Last fetch failed: data is the cached last good result
+        if (this.weatherData.stale && this.weatherData.staleSince) {
+            var staleMarker = document.createElement("div");
+            staleMarker.className = "stale-marker xsmall dimmed";
+            staleMarker.innerHTML = this.translate("STALE_SINCE", { time: moment(this.weatherData.staleSince).format("HH:mm") });
+            cityNameInfo.appendChild(staleMarker);
+        }
+        // Daily query budget used up: no fetches until the UTC midnight reset
+        if (this.budgetNotice) {
+            var budgetMarker = document.createElement("div");
+            budgetMarker.className = "budget-notice xsmall dimmed";
+            budgetMarker.innerHTML = this.translate("BUDGET_EXHAUSTED", { time: moment(this.budgetNotice.resetAt).format("HH:mm") });
+            cityNameInfo.appendChild(budgetMarker);
+        }
         currentWeatherWrapper.appendChild(cityNameInfo);
         // --- END OF ADAPTATION OF WIND INFORMATION TO CITY NAME ---
 
         wrapper.appendChild(currentWeatherWrapper);
 
+        // --- Score breakdown of the TOP1 ---
+        if (this.config.showScoreBreakdown && this.weatherData.breakdown) {
+            wrapper.appendChild(this.getScoreBreakdownDom(this.weatherData.breakdown));
+        }
+
+        // --- Home city comparison, e.g. "Home: Bonn 12.3° — rank 31/45, score 48" ---
+        if (this.weatherData.home) {
+            var homeInfo = document.createElement("div");
+            homeInfo.className = "home-city-info small dimmed";
+            homeInfo.innerHTML = this.translate("HOME_CITY", {
+                city: this.weatherData.home.name,
+                temperature: `<span class="home-temperature" style="color: ${this.getTemperatureColor(this.weatherData.home.temperature)}">${this.formatTemperature(this.weatherData.home.temperature)}</span>`,
+                rank: this.weatherData.home.rank,
+                total: this.weatherData.home.total,
+                score: Math.round(this.weatherData.home.score)
+            });
+            wrapper.appendChild(homeInfo);
+        }
+
+        // --- Map of all cities (displayMode: "map") or Top-N ranking table ---
+        if (this.config.displayMode === "map" && Array.isArray(this.weatherData.ranking) && this.weatherData.ranking.length > 0) {
+            wrapper.appendChild(this.getMapDom(this.weatherData.ranking, this.weatherData.mapOutline || []));
+        } else if (this.config.maxRanked > 0 && Array.isArray(this.weatherData.ranking) && this.weatherData.ranking.length > 0) {
+            wrapper.appendChild(this.getRankingDom(this.weatherData.ranking.slice(0, this.config.maxRanked)));
+        }
+
         // --- ADAPTATION OF PRECIPITATION INFORMATION TO TOP1 HISTORY ---
         var top1HistoryInfo = document.createElement("div");
         top1HistoryInfo.className = "top1-history-info";
 
-        if (this.config.showTop1History && this.top1History.length > 0) {
-            this.top1History.forEach((city, index) => {
+        const top1History = this.weatherData.top1History || [];
+        if (this.config.showTop1History && top1History.length > 0) {
+            top1History.forEach((entry, index) => {
                 const historyEntry = document.createElement("div");
                 historyEntry.className = "history-entry" + (index === 0 ? " current-top1" : "");
-                historyEntry.innerHTML = city;
+                historyEntry.innerHTML = this.formatHistoryEntry(entry);
                 historyEntry.style.color = this.config.historyColor; // Apply color for history
                 top1HistoryInfo.appendChild(historyEntry);
             });
-        } else if (this.config.showTop1History && this.top1History.length === 0) {
+        } else if (this.config.showTop1History && top1History.length === 0) {
             const noHistory = document.createElement("div");
             noHistory.className = "no-history";
             noHistory.innerHTML = this.translate("NO_HISTORY_DATA");
@@ -294,66 +518,504 @@ Module.register("MMM-Best-Weather", {
         wrapper.appendChild(top1HistoryInfo);
         // --- END OF ADAPTATION OF PRECIPITATION INFORMATION TO TOP1 HISTORY ---
 
+        // --- Statistics leaderboard ---
+        if (this.config.showLeaderboard && this.weatherData.leaderboard && this.weatherData.leaderboard.leaderboard.length > 0) {
+            wrapper.appendChild(this.getLeaderboardDom(this.weatherData.leaderboard));
+        }
+
+        // --- Config diagnostics ---
+        var diagnostics = this.getDiagnosticsDom();
+        if (diagnostics) {
+            wrapper.appendChild(diagnostics);
+        }
+
         return wrapper;
     },
 
-    // Schedules the next update
-    scheduleUpdate: function(delay) {
-        var self = this;
-        // Clear any existing timer to prevent multiple updates
-        if (this.currentUpdateTimer) {
-            clearTimeout(this.currentUpdateTimer);
-        }
-        // Schedule the next update
-        this.currentUpdateTimer = setTimeout(function() {
-            self.getWeatherData();
-        }, delay);
-        this._log("DEBUG", `Next update in ${(delay / 1000).toFixed(0)}s`);
+    // Invalid CSS colors of the color options (they would silently fall back to white)
+    validateColors: function() {
+        if (typeof CSS === "undefined" || !CSS.supports) {
+            return [];
+        }
+        var colors = [];
+        ["cityColor", "historyColor", "temperatureColor"].forEach(key => colors.push({ key: key, color: this.config[key] }));
+        ["tempColorGradient", "mapScoreGradient"].forEach(key => {
+            (Array.isArray(this.config[key]) ? this.config[key] : []).forEach((point, index) => {
+                if (point && typeof point.color === "string") {
+                    colors.push({ key: `${key}[${index}]`, color: point.color });
+                }
+            });
+        });
+        var warnings = colors
+            .filter(entry => typeof entry.color !== "string" || !CSS.supports("color", entry.color))
+            .map(entry => ({ key: entry.key, message: `"${entry.color}" is not a valid CSS color` }));
+        warnings.forEach(warning => this._log("WARN", `Config: ${warning.key}: ${warning.message}`));
+        return warnings;
+    },
+
+    // "Config: maxRank: unknown option (ignored) (+2 more, see log)"; null without warnings
+    getDiagnosticsDom: function() {
+        var warnings = this.colorWarnings.concat(this.configWarnings);
+        if (!this.config.showConfigWarnings || warnings.length === 0) {
+            return null;
+        }
+        var diagnostics = document.createElement("div");
+        diagnostics.className = "config-warnings dimmed xsmall";
+        diagnostics.innerHTML = this.translate("CONFIG_WARNING", { key: warnings[0].key, message: warnings[0].message })
+            + (warnings.length > 1 ? " " + this.translate("CONFIG_WARNINGS_MORE", { count: warnings.length - 1 }) : "");
+        return diagnostics;
+    },
+
+    // "Freiburg · since 13:20 (2h 40m)"; the current TOP1 (no until) counts up to now.
+    // Entries from an earlier day carry the weekday.
+    formatHistoryEntry: function(entry) {
+        const since = moment(entry.since);
+        return this.translate("HISTORY_ENTRY", {
+            city: entry.city,
+            time: since.isSame(moment(), "day") ? since.format("HH:mm") : since.format("dd HH:mm"),
+            duration: this.formatDuration((entry.until || Date.now()) - entry.since)
+        });
+    },
+
+    // Facet bars (sub-score 0-10 with profile weight), WC multiplier / travel penalty and raw drivers
+    getScoreBreakdownDom: function(breakdown) {
+        var panel = document.createElement("div");
+        panel.className = "score-breakdown xsmall";
+
+        var facets = [
+            { key: "TC", value: breakdown.tc, weight: breakdown.weights.tc },
+            { key: "A", value: breakdown.aesthetic, weight: breakdown.weights.a },
+            { key: "P", value: breakdown.physical, weight: breakdown.weights.p }
+        ];
+        var weightSum = (breakdown.weights.tc + breakdown.weights.a + breakdown.weights.p) || 1;
+
+        facets.forEach(facet => {
+            var row = document.createElement("div");
+            row.className = "breakdown-row";
+
+            var label = document.createElement("span");
+            label.className = "breakdown-label dimmed";
+            label.innerHTML = this.translate("BREAKDOWN_" + facet.key, { weight: Math.round(facet.weight / weightSum * 100) });
+            row.appendChild(label);
+
+            var bar = document.createElement("span");
+            bar.className = "breakdown-bar";
+            var fill = document.createElement("span");
+            fill.className = "breakdown-bar-fill";
+            fill.style.width = Math.max(0, Math.min(100, facet.value * 10)) + "%";
+            bar.appendChild(fill);
+            row.appendChild(bar);
+
+            var value = document.createElement("span");
+            value.className = "breakdown-value";
+            value.innerHTML = facet.value.toFixed(1);
+            row.appendChild(value);
+
+            panel.appendChild(row);
+        });
+
+        var multipliers = document.createElement("div");
+        multipliers.className = "breakdown-multipliers dimmed";
+        multipliers.innerHTML = this.translate("BREAKDOWN_WC", { value: breakdown.wcOverride.toFixed(2) });
+        if (breakdown.airQuality && breakdown.aqMultiplier < 0.995) {
+            multipliers.innerHTML += " &middot; " + this.translate("BREAKDOWN_AQ", { value: breakdown.aqMultiplier.toFixed(2) });
+        }
+        if (breakdown.distancePenalty > 0.05) {
+            multipliers.innerHTML += " &middot; " + this.translate("BREAKDOWN_PENALTY", { points: breakdown.distancePenalty.toFixed(1) });
+        }
+        panel.appendChild(multipliers);
+
+        var drivers = document.createElement("div");
+        drivers.className = "breakdown-drivers dimmed";
+        drivers.innerHTML = this.translate("BREAKDOWN_DRIVERS", {
+            apparent: Math.round(this.convertTemperature(breakdown.apparentTemperature)),
+            cloud: Math.round(breakdown.cloudCover),
+            precipitation: this.formatPrecipitation(breakdown.precipitation),
+            wind: this.formatWind(breakdown.windSpeed)
+        });
+        panel.appendChild(drivers);
+
+        // Air quality facets with a value, e.g. "AQI 42 · Birch 120 ×0.68"
+        var airFacets = Object.keys(breakdown.airQuality || {}).filter(facet => breakdown.airQuality[facet].value !== null);
+        if (airFacets.length > 0) {
+            var air = document.createElement("div");
+            air.className = "breakdown-air dimmed";
+            air.innerHTML = airFacets.map(facet => {
+                var entry = breakdown.airQuality[facet];
+                var text = this.translate("BREAKDOWN_" + facet.toUpperCase(), { value: facet === "uvIndex" ? entry.value.toFixed(1) : Math.round(entry.value) });
+                return entry.multiplier !== null && entry.multiplier < 0.995 ? text + " &times;" + entry.multiplier.toFixed(2) : text;
+            }).join(" &middot; ");
+            panel.appendChild(air);
+        }
+
+        return panel;
+    },
+
+    // "142 km SW" / "88 mi SW" (direction translated)
+    formatDistance: function(distanceKm, direction) {
+        return this.translate("DISTANCE", {
+            distance: this.config.units === "imperial" ? Math.round(distanceKm / 1.609344) + " mi" : Math.round(distanceKm) + " km",
+            direction: direction ? this.translate("DIRECTION_" + direction) : ""
+        }).trim();
+    },
+
+    // node_helper sends metric values (°C, km/h, mm): conversion to the display units
+    convertTemperature: function(celsius) {
+        return this.config.units === "imperial" ? celsius * 9 / 5 + 32 : celsius;
     },
 
-    // Requests weather data from the node_helper
+    // "21.4°"
+    formatTemperature: function(celsius) {
+        return this.convertTemperature(celsius).toFixed(this.config.decimalPlacesTemp) + "&deg;";
+    },
+
+    // "14 km/h", "3.9 m/s", "9 mph", "8 kn"
+    formatWind: function(kmh) {
+        var unit = this.config.windUnits || (this.config.units === "imperial" ? "mph" : "kmh");
+        switch (unit) {
+            case "ms": return (kmh / 3.6).toFixed(1) + " m/s";
+            case "mph": return Math.round(kmh / 1.609344) + " mph";
+            case "kn": return Math.round(kmh / 1.852) + " kn";
+            default: return Math.round(kmh) + " km/h";
+        }
+    },
+
+    // "0.4 mm" / "0.02 in"
+    formatPrecipitation: function(mm) {
+        var unit = this.config.precipitationUnits || (this.config.units === "imperial" ? "inch" : "mm");
+        return unit === "inch" ? (mm / 25.4).toFixed(2) + " in" : mm.toFixed(1) + " mm";
+    },
+
+    // "2h 40m" / "40m" (DURATION_HM / DURATION_M)
+    formatDuration: function(durationMs) {
+        const durationMinutes = Math.max(0, Math.floor(durationMs / 60000));
+        const hours = Math.floor(durationMinutes / 60);
+        return hours > 0
+            ? this.translate("DURATION_HM", { hours: hours, minutes: durationMinutes % 60 })
+            : this.translate("DURATION_M", { minutes: durationMinutes });
+    },
+
+    // Localized text of a WMO weather code (WMO_<code>), WMO_UNKNOWN for codes without a translation
+    getConditionText: function(weatherCode) {
+        var key = "WMO_" + weatherCode;
+        var text = this.translate(key);
+        return text === key ? this.translate("WMO_UNKNOWN") : text;
+    },
+
+    // Leaderboard of the current day/week/month: title row, then city, TOP1 count, average score, longest streak
+    getLeaderboardDom: function(leaderboard) {
+        var table = document.createElement("table");
+        table.className = "leaderboard-table small";
+
+        var titleRow = document.createElement("tr");
+        var titleCell = document.createElement("td");
+        titleCell.className = "leaderboard-title xsmall dimmed";
+        titleCell.colSpan = 5;
+        titleCell.innerHTML = this.translate("LEADERBOARD_" + leaderboard.period.toUpperCase());
+        titleRow.appendChild(titleCell);
+        table.appendChild(titleRow);
+
+        leaderboard.leaderboard.forEach((entry, index) => {
+            var row = document.createElement("tr");
+            row.className = "leaderboard-row";
+
+            var rankCell = document.createElement("td");
+            rankCell.className = "leaderboard-rank dimmed";
+            rankCell.innerHTML = (index + 1) + ".";
+            row.appendChild(rankCell);
+
+            var nameCell = document.createElement("td");
+            nameCell.className = "leaderboard-city";
+            nameCell.innerHTML = entry.city;
+            nameCell.style.color = this.config.cityColor;
+            row.appendChild(nameCell);
+
+            var winsCell = document.createElement("td");
+            winsCell.className = "leaderboard-wins";
+            winsCell.innerHTML = entry.wins + "&times;";
+            row.appendChild(winsCell);
+
+            var scoreCell = document.createElement("td");
+            scoreCell.className = "leaderboard-score dimmed";
+            scoreCell.innerHTML = entry.avgScore !== null ? "&empty; " + Math.round(entry.avgScore) : "";
+            row.appendChild(scoreCell);
+
+            var streakCell = document.createElement("td");
+            streakCell.className = "leaderboard-streak dimmed";
+            streakCell.innerHTML = this.translate("LEADERBOARD_STREAK", { duration: this.formatDuration(entry.longestStreakMs) });
+            row.appendChild(streakCell);
+
+            table.appendChild(row);
+        });
+
+        return table;
+    },
+
+    // Creates the compact ranking table (rank, city, icon, temperature, optional score)
+    getRankingDom: function(ranking) {
+        var table = document.createElement("table");
+        table.className = "ranking-table small";
+
+        ranking.forEach((entry, index) => {
+            var row = document.createElement("tr");
+            row.className = "ranking-row" + (index === 0 ? " ranking-top1" : "");
+
+            var rankCell = document.createElement("td");
+            rankCell.className = "ranking-rank dimmed";
+            rankCell.innerHTML = (index + 1) + ".";
+            row.appendChild(rankCell);
+
+            var nameCell = document.createElement("td");
+            nameCell.className = "ranking-city";
+            nameCell.innerHTML = entry.name;
+            nameCell.style.color = this.config.cityColor;
+            row.appendChild(nameCell);
+
+            var iconCell = document.createElement("td");
+            iconCell.className = "ranking-icon";
+            var icon = document.createElement("span");
+            icon.className = "wi " + entry.weatherIconClass;
+            iconCell.appendChild(icon);
+            row.appendChild(iconCell);
+
+            var tempCell = document.createElement("td");
+            tempCell.className = "ranking-temperature";
+            tempCell.innerHTML = this.formatTemperature(entry.temperature);
+            tempCell.style.color = this.getTemperatureColor(entry.temperature);
+            row.appendChild(tempCell);
+
+            if (this.config.showDistance && entry.distanceKm !== null && entry.distanceKm !== undefined) {
+                var distanceCell = document.createElement("td");
+                distanceCell.className = "ranking-distance dimmed";
+                distanceCell.innerHTML = this.formatDistance(entry.distanceKm, entry.direction);
+                row.appendChild(distanceCell);
+            }
+
+            if (this.config.showScore) {
+                var scoreCell = document.createElement("td");
+                scoreCell.className = "ranking-score dimmed";
+                scoreCell.innerHTML = Math.round(entry.score);
+                row.appendChild(scoreCell);
+            }
+
+            table.appendChild(row);
+        });
+
+        return table;
+    },
+
+    // Interpolated color of a score (0-100) on config.mapScoreGradient
+    getScoreColor: function(score) {
+        const gradientPoints = this.getGradientPoints("mapScoreGradient", "score");
+        if (gradientPoints.length === 0) {
+            return "rgb(255, 255, 255)";
+        }
+        const toCss = rgb => `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`;
+        if (score <= gradientPoints[0].score) {
+            return toCss(gradientPoints[0].rgb);
+        }
+        for (let i = 0; i < gradientPoints.length - 1; i++) {
+            const lower = gradientPoints[i];
+            const upper = gradientPoints[i + 1];
+            if (score <= upper.score) {
+                const factor = (score - lower.score) / ((upper.score - lower.score) || 1);
+                return toCss({
+                    r: Math.round(lower.rgb.r + factor * (upper.rgb.r - lower.rgb.r)),
+                    g: Math.round(lower.rgb.g + factor * (upper.rgb.g - lower.rgb.g)),
+                    b: Math.round(lower.rgb.b + factor * (upper.rgb.b - lower.rgb.b))
+                });
+            }
+        }
+        return toCss(gradientPoints[gradientPoints.length - 1].rgb);
+    },
+
+    // SVG map: region outline, one dot per city (colored by score or temperature), home location and the
+    // TOP1 highlighted with its weather icon. Equirectangular projection, scaled to config.mapWidth.
+    getMapDom: function(ranking, outline) {
+        const svgNs = "http://www.w3.org/2000/svg";
+        const home = this.config.homeLocation;
+
+        // Bounding box of outline and cities
+        const points = [].concat(...outline).concat(ranking.map(entry => [entry.longitude, entry.latitude]));
+        if (home && home.lat !== undefined && home.lon !== undefined) {
+            points.push([home.lon, home.lat]);
+        }
+        const lons = points.map(point => point[0]);
+        const lats = points.map(point => point[1]);
+        const minLon = Math.min(...lons);
+        const maxLat = Math.max(...lats);
+        const lonScale = Math.cos((Math.min(...lats) + maxLat) / 2 * Math.PI / 180);
+        const spanX = ((Math.max(...lons) - minLon) * lonScale) || 1;
+        const spanY = (maxLat - Math.min(...lats)) || 1;
+        const padding = 8; // px, room for the dots at the edge
+        const width = this.config.mapWidth;
+        const scale = (width - 2 * padding) / spanX;
+        const height = Math.round(spanY * scale + 2 * padding);
+        const project = (lon, lat) => [padding + (lon - minLon) * lonScale * scale, padding + (maxLat - lat) * scale];
+
+        const mapWrapper = document.createElement("div");
+        mapWrapper.className = "map-view";
+        mapWrapper.style.width = width + "px";
+        mapWrapper.style.height = height + "px";
+
+        const svg = document.createElementNS(svgNs, "svg");
+        svg.setAttribute("class", "map-svg");
+        svg.setAttribute("width", width);
+        svg.setAttribute("height", height);
+        svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+
+        if (outline.length > 0) {
+            const outlinePath = document.createElementNS(svgNs, "path");
+            outlinePath.setAttribute("class", "map-outline");
+            outlinePath.setAttribute("fill-rule", "evenodd");
+            outlinePath.setAttribute("d", outline.map(ring => "M" + ring.map(point => project(point[0], point[1]).map(value => value.toFixed(1)).join(",")).join("L") + "Z").join(" "));
+            svg.appendChild(outlinePath);
+        }
+
+        if (home && home.lat !== undefined && home.lon !== undefined) {
+            const homeXY = project(home.lon, home.lat);
+            const homeMarker = document.createElementNS(svgNs, "circle");
+            homeMarker.setAttribute("class", "map-home");
+            homeMarker.setAttribute("cx", homeXY[0].toFixed(1));
+            homeMarker.setAttribute("cy", homeXY[1].toFixed(1));
+            homeMarker.setAttribute("r", 6);
+            svg.appendChild(homeMarker);
+        }
+
+        // Lowest scores first, so better cities (and finally the TOP1) are drawn on top
+        const top1 = ranking[0];
+        ranking.slice(1).reverse().concat([top1]).forEach(entry => {
+            const xy = project(entry.longitude, entry.latitude);
+            const dot = document.createElementNS(svgNs, "circle");
+            dot.setAttribute("class", "map-city" + (entry === top1 ? " map-top1" : ""));
+            dot.setAttribute("cx", xy[0].toFixed(1));
+            dot.setAttribute("cy", xy[1].toFixed(1));
+            dot.setAttribute("r", entry === top1 ? 6 : 4);
+            dot.setAttribute("fill", this.config.mapColorBy === "temperature" ? this.getTemperatureColor(entry.temperature) : this.getScoreColor(entry.score));
+            svg.appendChild(dot);
+        });
+        mapWrapper.appendChild(svg);
+
+        // Weather icon of the TOP1 above its dot (icon font, so as HTML on top of the SVG)
+        const top1XY = project(top1.longitude, top1.latitude);
+        const top1Icon = document.createElement("span");
+        top1Icon.className = "map-top1-icon wi " + top1.weatherIconClass;
+        top1Icon.style.left = top1XY[0].toFixed(1) + "px";
+        top1Icon.style.top = top1XY[1].toFixed(1) + "px";
+        mapWrapper.appendChild(top1Icon);
+
+        return mapWrapper;
+    },
+
+    // Requests weather data from the node_helper (answered from its cache if fresh)
     getWeatherData: function() {
         this._log("DEBUG", "Requesting FETCH_WEATHER from node_helper");
-        // Send the full config to the node_helper, including new impact parameters and API limit
-        this.sendSocketNotification("FETCH_WEATHER", this.config);
+        // Send the full config to the node_helper, tagged with this instance's identifier
+        this.sendSocketNotification("FETCH_WEATHER", { identifier: this.identifier, config: this.config, initialConfig: this.initialConfig, knownKeys: Object.keys(this.defaults) });
+    },
+
+    // Notifications from other modules (voice control, remote control). A payload with an identifier
+    // only addresses that instance; without one all instances react.
+    notificationReceived: function(notification, payload, sender) {
+        if (notification.indexOf("BEST_WEATHER_") !== 0 || notification === "BEST_WEATHER_UPDATED") {
+            return;
+        }
+        if (payload && payload.identifier && payload.identifier !== this.identifier) {
+            return;
+        }
+        this._log("DEBUG", `Notification ${notification} from ${sender ? sender.name : "system"}`);
+
+        if (notification === "BEST_WEATHER_REFRESH") {
+            this.sendSocketNotification("REFRESH_WEATHER", { identifier: this.identifier, config: this.config, initialConfig: this.initialConfig });
+
+        } else if (notification === "BEST_WEATHER_SET_PROFILE") {
+            // Payload: profile name or custom profile object, or { profile: ... }
+            var profile = payload && payload.profile !== undefined ? payload.profile : payload;
+            if (!profile) {
+                this._log("WARN", "BEST_WEATHER_SET_PROFILE without profile, ignoring");
+                return;
+            }
+            this.config.scoreProfile = profile;
+            this._log("INFO", `Score profile set to ${typeof profile === "string" ? profile : JSON.stringify(profile)}`);
+            this.getWeatherData(); // node_helper rescores the current observations
+
+        } else if (notification === "BEST_WEATHER_SET_REGION") {
+            // Payload: any of { states, homeLocation, maxDistanceKm, cities, citiesFile }
+            var regionKeys = ["states", "homeLocation", "maxDistanceKm", "cities", "citiesFile"];
+            var changed = regionKeys.filter(key => payload && payload[key] !== undefined);
+            if (changed.length === 0) {
+                this._log("WARN", `BEST_WEATHER_SET_REGION needs one of ${regionKeys.join(", ")}, ignoring`);
+                return;
+            }
+            changed.forEach(key => { this.config[key] = payload[key]; });
+            this._log("INFO", `Region changed: ${changed.join(", ")}`);
+            this.getWeatherData();
+        }
+    },
+
+    // Broadcasts the current result to other modules
+    sendUpdatedNotification: function() {
+        var data = this.weatherData;
+        this.sendNotification("BEST_WEATHER_UPDATED", {
+            identifier: this.identifier,
+            city: data.cityName,
+            tiedWith: data.tiedWith || [],
+            temperature: data.temperature,
+            apparentTemperature: data.apparentTemperature,
+            weatherCode: data.weatherCode,
+            score: data.score,
+            scoreProfile: data.scoreProfile,
+            distanceKm: data.distanceKm,
+            direction: data.direction,
+            forecast: data.forecast,
+            ranking: data.ranking || [],
+            home: data.home || null,
+            fetchedAt: data.fetchedAt,
+            stale: !!data.stale
+        });
     },
 
     // Receives notifications from the node_helper
     socketNotificationReceived: function(notification, payload) {
+        // node_helper serves all instances: only handle notifications for this one
+        if (!payload || payload.identifier !== this.identifier) {
+            return;
+        }
+
         if (notification === "WEATHER_DATA") {
-            this._log("INFO", `Data received: ${payload.cityName || "no city"}, ${payload.temperature !== undefined ? payload.temperature + "°C" : "no temp"}`);
-            // Update weatherData
-            this.weatherData = payload;
-
-            // Add the current TOP1 city to the history
-            if (this.weatherData && this.weatherData.cityName) {
-                // Only add if it's a new city or history is empty
-                if (this.top1History.length === 0 || this.top1History[0] !== this.weatherData.cityName) {
-                    this.top1History.unshift(this.weatherData.cityName); // Add to the beginning
-                    if (this.top1History.length > 2) {
-                        this.top1History.pop(); // Remove the oldest city if more than 2 are present
-                    }
-                }
+            this._log("INFO", `Data received: ${payload.cityName || "no city"}, ${payload.temperature !== undefined ? payload.temperature + "°C" : "no temp"}${payload.stale ? " (stale)" : ""}`);
+            this.budgetNotice = payload.budgetExhausted ? payload.queryBudget : null;
+            this.errorCode = null;
+            // Update weatherData (a payload without city only carries the update interval)
+            if (payload.cityName) {
+                this.weatherData = payload;
+                this.sendUpdatedNotification();
             }
 
             this.loaded = true;
             this.updateDom(this.config.animationSpeed);
 
-            // Reschedule update with the interval calculated by the node_helper
-            if (payload.calculatedUpdateIntervalMs) {
-                this.scheduleUpdate(payload.calculatedUpdateIntervalMs);
-            } else {
-                this._log("WARN", "Node_helper did not provide an update interval. Scheduling with default (30 minutes).");
-                this.scheduleUpdate(30 * 60 * 1000); // Fallback to 30 minutes
+        } else if (notification === "CONFIG_WARNINGS") {
+            var configWarnings = payload.warnings || [];
+            if (JSON.stringify(configWarnings) !== JSON.stringify(this.configWarnings)) {
+                this.configWarnings = configWarnings;
+                this.updateDom(this.config.animationSpeed);
             }
 
         } else if (notification === "WEATHER_ERROR") {
-            this._log("ERROR", `Error received: ${payload}`);
+            this._log("ERROR", `Error received: ${payload.message}`);
             this.loaded = true;
-            this.weatherData = null; // Set data to null to display error message
+            this.budgetNotice = payload.budgetExhausted ? payload.queryBudget : null;
+            this.errorCode = payload.code || null; // Shown as ERROR_<code> once there is no data left to display
+            // Keep showing the last valid TOP1 (marked as stale) until it is older than maxStaleness
+            if (this.weatherData && Date.now() - this.weatherData.fetchedAt <= this.config.maxStaleness) {
+                this.weatherData.stale = true;
+                this.weatherData.staleSince = this.weatherData.staleSince || this.weatherData.fetchedAt;
+            } else {
+                this.weatherData = null; // Set data to null to display error message
+            }
             this.updateDom(this.config.animationSpeed);
-            // On error, try again after a fixed interval (e.g., 5 minutes) to avoid hammering the API
-            this.scheduleUpdate(5 * 60 * 1000);
+            // No retry timer here: node_helper's scheduler retries and pushes the result
         }
     }
 });
\ No newline at end of file
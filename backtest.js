@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/**
+ * @file backtest.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description Command line backtest for MMM-Best-Weather. Re-scores the rows of a statistics file with
+ *              alternative scoring parameters (profile, tOpt, sigma, wcOverrides) using lib/scoring.js and
+ *              compares the result with the stored scores: score distribution, sub-score contributions,
+ *              mean score per weather code and R² of the score against each weather variable.
+ *
+ *              Usage: node backtest.js [--file BestWeatherStatisticsHCI.csv] [--profile HCI:Beach]
+ *                                      [--tOpt 20] [--sigma 8] [--wcOverrides '{"3": 0.8}'] [--legacy]
+ *
+ * @changelog
+ *   2026-10-19: Initial version.
+ *   2026-10-19: --file accepts JSON Lines and SQLite statistics files.
+ *   2026-10-19: --airQuality re-scores with air quality facets (rows logged with airQuality enabled).
+ */
+
+const path = require("path");
+const Scoring = require("./lib/scoring");
+const Statistics = require("./lib/statistics");
+const { apparentTemperature } = require("./lib/providers/common");
+
+const DEFAULT_FILE = "BestWeatherStatisticsHCI.csv";
+
+// Stored sub-scores were written with the original HCI:Beach weights
+const STORED_WEIGHTS = Scoring.PROFILES["HCI:Beach"].weights;
+
+// Variables the score is regressed against (row field -> label)
+const REGRESSORS = {
+    temperature: "Temperature",
+    apparentTemperature: "ApparentTemperature",
+    cloudCover: "CloudCover",
+    precipitation: "Precipitation",
+    windSpeed: "WindSpeed"
+};
+
+const USAGE = `Usage: node backtest.js [options]
+
+  --file <path>          Statistics file: CSV, .jsonl or .sqlite (default: ${DEFAULT_FILE},
+                         relative to the module directory)
+  --profile <name>       Score profile (${Object.keys(Scoring.PROFILES).join(", ")}; default: ${Scoring.DEFAULT_PROFILE})
+  --tOpt <°C>            Optimal apparent temperature (overrides the profile)
+  --sigma <°C>           Width of the thermal comfort curve (overrides the profile)
+  --wcOverrides <json>   Weather code multipliers, e.g. '{"3": 0.8, "45": 0.5}'
+  --airQuality <list>    Air quality facets, e.g. europeanAqi,birchPollen (${Object.keys(Scoring.AIR_QUALITY_CURVES).join(", ")})
+  --legacy               Include rows of the legacy format (apparent temperature is derived from
+                         temperature, humidity and wind; stored scores are the old linear scores)
+  --help                 Show this help`;
+
+// "--name value" pairs and "--flag" switches
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith("--")) {
+            throw new Error(`Unexpected argument "${argv[i]}"`);
+        }
+        const name = argv[i].substring(2);
+        if (name === "legacy" || name === "help") {
+            args[name] = true;
+        } else if (i + 1 < argv.length) {
+            args[name] = argv[++i];
+        } else {
+            throw new Error(`Missing value for --${name}`);
+        }
+    }
+    return args;
+}
+
+// Module config equivalent of the command line options (resolved by lib/scoring.js like node_helper does)
+function buildConfig(args) {
+    const config = { scoreProfile: args.profile || Scoring.DEFAULT_PROFILE };
+    ["tOpt", "sigma"].forEach(name => {
+        if (args[name] !== undefined) {
+            config[name] = Number(args[name]);
+            if (isNaN(config[name])) {
+                throw new Error(`--${name} must be a number`);
+            }
+        }
+    });
+    if (args.airQuality !== undefined) {
+        config.airQuality = args.airQuality.split(",").map(facet => facet.trim()).filter(facet => facet !== "");
+    }
+    if (args.wcOverrides !== undefined) {
+        try {
+            config.wcOverrides = JSON.parse(args.wcOverrides);
+        } catch (error) {
+            throw new Error(`--wcOverrides must be a JSON object: ${error.message}`);
+        }
+    }
+    return config;
+}
+
+// Observation for the score engine; legacy rows get a derived apparent temperature
+function toObservation(row) {
+    const observation = Object.assign({}, row);
+    if (observation.apparentTemperature === null) {
+        observation.apparentTemperature = apparentTemperature(row.temperature, row.humidity, row.windSpeed);
+    }
+    return observation;
+}
+
+// Min, max, mean, standard deviation and percentiles of a list of numbers
+function describe(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    const variance = sorted.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / sorted.length;
+    const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    return { min: sorted[0], p10: percentile(0.1), median: percentile(0.5), mean: mean, p90: percentile(0.9), max: sorted[sorted.length - 1], stdDev: Math.sqrt(variance) };
+}
+
+// Share of rows per 10-point score bucket (0-9, 10-19, ..., 90-100)
+function histogram(values) {
+    const buckets = new Array(10).fill(0);
+    values.forEach(value => { buckets[Math.min(9, Math.floor(value / 10))]++; });
+    return buckets.map(count => count / values.length);
+}
+
+// R² of a simple linear regression y = a + b·x
+function rSquared(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+        sxy += (xs[i] - meanX) * (ys[i] - meanY);
+        sxx += Math.pow(xs[i] - meanX, 2);
+        syy += Math.pow(ys[i] - meanY, 2);
+    }
+    return sxx === 0 || syy === 0 ? 0 : (sxy * sxy) / (sxx * syy);
+}
+
+// Average weighted facet contributions (TC, A, P) as shares of their sum
+function contributions(scores, weights) {
+    const weightSum = (weights.tc + weights.a + weights.p) || 1;
+    const sums = { tc: 0, a: 0, p: 0 };
+    scores.forEach(score => {
+        sums.tc += weights.tc / weightSum * score.tc;
+        sums.a += weights.a / weightSum * score.aesthetic;
+        sums.p += weights.p / weightSum * score.physical;
+    });
+    const total = (sums.tc + sums.a + sums.p) || 1;
+    return { tc: sums.tc / total, a: sums.a / total, p: sums.p / total };
+}
+
+const fmt = (value, digits) => (value === null || value === undefined || isNaN(value) ? "-" : value.toFixed(digits === undefined ? 1 : digits));
+const pct = value => (value * 100).toFixed(1) + "%";
+const signed = value => (value >= 0 ? "+" : "") + value.toFixed(1);
+
+function printTable(header, rows) {
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => String(row[column]).length)));
+    const line = cells => cells.map((cell, column) => column === 0 ? String(cell).padEnd(widths[column]) : String(cell).padStart(widths[column])).join("  ");
+    console.log(line(header));
+    rows.forEach(row => console.log(line(row)));
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const config = buildConfig(args);
+    const profile = Scoring.resolveProfile(config);
+    const filePath = path.resolve(__dirname, args.file || DEFAULT_FILE);
+
+    const allRows = await Statistics.readStatisticsFile(filePath);
+    const rows = allRows.filter(row => (args.legacy || row.format === "hci")
+        && row.temperature !== null && row.cloudCover !== null && row.precipitation !== null
+        && row.windSpeed !== null && row.weatherCode !== null && row.score !== null
+        && (row.apparentTemperature !== null || row.humidity !== null));
+    if (rows.length === 0) {
+        throw new Error(`No usable rows in ${filePath} (${allRows.length} rows read${args.legacy ? "" : ", use --legacy for old-format files"})`);
+    }
+
+    const rescored = rows.map(row => Scoring.computeScore(toObservation(row), profile));
+    const storedScores = rows.map(row => row.score);
+    const newScores = rescored.map(score => score.score);
+
+    console.log(`File:     ${filePath}`);
+    console.log(`Rows:     ${rows.length} of ${allRows.length} (${rows[0].timestamp.toLocaleString()} – ${rows[rows.length - 1].timestamp.toLocaleString()})`);
+    console.log(`Profile:  ${profile.name}, tOpt=${profile.tOpt}, sigma=${profile.sigma}, weights TC/A/P ${profile.weights.tc}/${profile.weights.a}/${profile.weights.p}`);
+    console.log("Note:     only the TOP1 city of each update is stored, so scores are compared, not rankings.");
+
+    // --- Score distribution ---
+    console.log("\nScore distribution");
+    const stored = describe(storedScores);
+    const current = describe(newScores);
+    printTable(["", "min", "p10", "median", "mean", "p90", "max", "stdDev"], [
+        ["stored"].concat(["min", "p10", "median", "mean", "p90", "max", "stdDev"].map(key => fmt(stored[key]))),
+        ["re-scored"].concat(["min", "p10", "median", "mean", "p90", "max", "stdDev"].map(key => fmt(current[key])))
+    ]);
+
+    console.log("\nHistogram");
+    const storedHistogram = histogram(storedScores);
+    const newHistogram = histogram(newScores);
+    printTable(["score", "stored", "re-scored", ""], storedHistogram.map((share, bucket) => [
+        `${bucket * 10}-${bucket === 9 ? 100 : bucket * 10 + 9}`,
+        pct(share),
+        pct(newHistogram[bucket]),
+        "#".repeat(Math.round(newHistogram[bucket] * 50))
+    ]));
+
+    // --- Sub-score contributions ---
+    const hciIndexes = rows.map((row, index) => (row.tc !== null && row.aesthetic !== null && row.physical !== null ? index : -1)).filter(index => index !== -1);
+    console.log("\nSub-score contributions (weighted share of TC / A / P)");
+    const contributionRows = [];
+    if (hciIndexes.length > 0) {
+        const storedContribution = contributions(hciIndexes.map(index => rows[index]), STORED_WEIGHTS);
+        contributionRows.push(["stored", pct(storedContribution.tc), pct(storedContribution.a), pct(storedContribution.p)]);
+    }
+    const newContribution = contributions(rescored, profile.weights);
+    contributionRows.push(["re-scored", pct(newContribution.tc), pct(newContribution.a), pct(newContribution.p)]);
+    printTable(["", "TC", "A", "P"], contributionRows);
+
+    // --- Weather code mix ---
+    console.log("\nMean score per weather code");
+    const codes = {};
+    rows.forEach((row, index) => {
+        if (!codes[row.weatherCode]) {
+            codes[row.weatherCode] = { count: 0, stored: 0, rescored: 0, wcOverride: rescored[index].wcOverride };
+        }
+        codes[row.weatherCode].count++;
+        codes[row.weatherCode].stored += row.score;
+        codes[row.weatherCode].rescored += rescored[index].score;
+    });
+    printTable(["WMO", "rows", "share", "WC", "stored", "re-scored", "shift"], Object.keys(codes)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(code => {
+            const entry = codes[code];
+            return [code, entry.count, pct(entry.count / rows.length), fmt(entry.wcOverride, 2), fmt(entry.stored / entry.count), fmt(entry.rescored / entry.count), signed((entry.rescored - entry.stored) / entry.count)];
+        }));
+
+    // --- R² against the weather variables ---
+    console.log("\nR² of the score against single variables (share of the score variance explained)");
+    const observations = rows.map(toObservation);
+    printTable(["variable", "stored", "re-scored"], Object.keys(REGRESSORS).map(field => {
+        const xs = observations.map(observation => observation[field]);
+        return [REGRESSORS[field], fmt(rSquared(xs, storedScores), 3), fmt(rSquared(xs, newScores), 3)];
+    }));
+}
+
+main().catch(error => {
+    console.error(`backtest: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+});
@@ -0,0 +1,69 @@
+/**
+ * @file lib/geo.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description Geographic helpers for MMM-Best-Weather: great-circle distance, initial bearing and
+ *              8-point compass direction between two coordinates, outline rings of GeoJSON regions.
+ *
+ * @changelog
+ *   2026-10-19: Initial version (home location, distance filter and travel penalty).
+ *   2026-10-19: outlineRings() for the map view (GeoJSON Polygon/MultiPolygon outlines).
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// 8-point compass, clockwise from north (translated in the frontend as DIRECTION_<code>)
+const COMPASS_POINTS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Great-circle distance in km (haversine formula)
+function distanceKm(lat1, lon1, lat2, lon2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.pow(Math.sin(dLat / 2), 2) + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.pow(Math.sin(dLon / 2), 2);
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Initial bearing from point 1 to point 2 in degrees (0 = north, 90 = east)
+function bearing(lat1, lon1, lat2, lon2) {
+    const dLon = toRadians(lon2 - lon1);
+    const y = Math.sin(dLon) * Math.cos(toRadians(lat2));
+    const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) - Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Compass point ("N", "NE", ..., "NW") of a bearing in degrees
+function compassDirection(degrees) {
+    return COMPASS_POINTS[Math.round(degrees / 45) % 8];
+}
+
+// Polygon rings [[lon, lat], ...] of a GeoJSON object (FeatureCollection, Feature, GeometryCollection,
+// Polygon or MultiPolygon), outer rings and holes alike. Throws on other geometry types.
+function outlineRings(geoJson) {
+    if (!geoJson || typeof geoJson !== "object") {
+        throw new Error("GeoJSON object expected");
+    }
+    switch (geoJson.type) {
+        case "FeatureCollection":
+            return [].concat(...(geoJson.features || []).map(outlineRings));
+        case "Feature":
+            return geoJson.geometry ? outlineRings(geoJson.geometry) : [];
+        case "GeometryCollection":
+            return [].concat(...(geoJson.geometries || []).map(outlineRings));
+        case "Polygon":
+            return geoJson.coordinates.map(ring => ring.map(point => [point[0], point[1]]));
+        case "MultiPolygon":
+            return [].concat(...geoJson.coordinates.map(polygon => outlineRings({ type: "Polygon", coordinates: polygon })));
+        default:
+            throw new Error(`Unsupported GeoJSON type "${geoJson.type}" (Polygon or MultiPolygon expected)`);
+    }
+}
+
+module.exports = {
+    COMPASS_POINTS,
+    distanceKm,
+    bearing,
+    compassDirection,
+    outlineRings
+};
@@ -0,0 +1,62 @@
+/**
+ * @file lib/providers/airquality.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description Open-Meteo air quality API (CAMS): European AQI, UV index and birch/grass pollen for the
+ *              optional air quality facets of the score (config.airQuality). Not a weather provider: it is
+ *              queried in addition to the weather provider and returns an array aligned with 'cities' of
+ *              { europeanAqi, uvIndex, birchPollen, grassPollen } (fetchHourly: arrays of those with the local
+ *              'time'), or null for cities without data. Pollen is only available in Europe and during the season.
+ *              options: { baseUrl, timeout, concurrency, batchSize, onQuery } as for the Open-Meteo weather provider.
+ *
+ * @changelog
+ *   2026-10-19: Initial version.
+ */
+
+const { requestBatched } = require("./openmeteo");
+
+const DEFAULT_BASE_URL = "https://air-quality-api.open-meteo.com";
+const AIR_QUALITY_PATH = "/v1/air-quality";
+const AIR_QUALITY_FIELDS = "european_aqi,uv_index,birch_pollen,grass_pollen";
+
+function normalize(values, i) {
+    const value = field => {
+        const entry = i === undefined ? values[field] : (values[field] || [])[i];
+        return entry === undefined ? null : entry;
+    };
+    return {
+        europeanAqi: value("european_aqi"),
+        uvIndex: value("uv_index"),
+        birchPollen: value("birch_pollen"),
+        grassPollen: value("grass_pollen")
+    };
+}
+
+function withBaseUrl(options) {
+    return Object.assign({}, options, { baseUrl: options.baseUrl || DEFAULT_BASE_URL });
+}
+
+async function fetchCurrent(cities, options) {
+    return requestBatched(cities, AIR_QUALITY_PATH, `current=${AIR_QUALITY_FIELDS}`, withBaseUrl(options), entry => {
+        if (!entry || !entry.current) {
+            return null;
+        }
+        return normalize(entry.current);
+    });
+}
+
+async function fetchHourly(cities, options) {
+    return requestBatched(cities, AIR_QUALITY_PATH, `hourly=${AIR_QUALITY_FIELDS}&forecast_days=7&timezone=auto`, withBaseUrl(options), entry => {
+        if (!entry || !entry.hourly || !Array.isArray(entry.hourly.time)) {
+            return null;
+        }
+        return entry.hourly.time.map((time, i) => Object.assign({ time: time }, normalize(entry.hourly, i)));
+    });
+}
+
+module.exports = {
+    name: "airquality",
+    label: "Open-Meteo Air Quality",
+    fetchCurrent,
+    fetchHourly
+};
@@ -0,0 +1,92 @@
+/**
+ * @file lib/providers/brightsky.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description Bright Sky (DWD open data, Germany only) weather provider. One request per city
+ *              with bounded concurrency. Apparent temperature and WMO code are derived from the raw values.
+ *
+ * @changelog
+ *   2026-10-19: Initial version.
+ *   2026-10-19: Reports the number of queried locations via options.onQuery (query ledger).
+ */
+
+const { fetchJson, mapWithConcurrency, throwIfAllFailed, apparentTemperature, weatherCodeFromCondition, toLocalHourString } = require("./common");
+
+const DEFAULT_BASE_URL = "https://api.brightsky.dev";
+const DEFAULT_CONCURRENCY = 4;
+
+// Bright Sky conditions: dry, fog, rain, sleet, snow, hail, thunderstorm (drizzle is derived from the amount)
+function normalize(weather, precipitation, windSpeed) {
+    if (!weather || weather.temperature === null || weather.temperature === undefined) {
+        return null;
+    }
+    const humidity = weather.relative_humidity !== null && weather.relative_humidity !== undefined ? weather.relative_humidity : 70;
+    const cloudCover = weather.cloud_cover !== null && weather.cloud_cover !== undefined ? weather.cloud_cover : 50;
+    const wind = windSpeed !== null && windSpeed !== undefined ? windSpeed : 0;
+    const precip = precipitation || 0;
+    const condition = weather.condition === "rain" && precip < 0.5 ? "drizzle" : weather.condition;
+    return {
+        temperature: weather.temperature,
+        apparentTemperature: apparentTemperature(weather.temperature, humidity, wind),
+        weatherCode: weatherCodeFromCondition(condition, precip, cloudCover),
+        precipitation: precip,
+        cloudCover: cloudCover,
+        humidity: humidity,
+        windSpeed: wind
+    };
+}
+
+async function fetchCurrent(cities, options) {
+    const baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+    let lastError = null;
+    const results = await mapWithConcurrency(cities, options.concurrency || DEFAULT_CONCURRENCY, async city => {
+        try {
+            if (options.onQuery) {
+                options.onQuery(1);
+            }
+            const response = await fetchJson(`${baseUrl}/current_weather?lat=${city.lat}&lon=${city.lon}`, options);
+            const weather = response && response.weather;
+            return weather ? normalize(weather, weather.precipitation_60, weather.wind_speed_10) : null;
+        } catch (error) {
+            // One failing city must not discard the others
+            lastError = error;
+            return null;
+        }
+    });
+    return throwIfAllFailed(results, lastError);
+}
+
+async function fetchHourly(cities, options) {
+    const baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+    const start = new Date();
+    const end = new Date(start.getTime() + 7 * 24 * 60 * 60 * 1000);
+    let lastError = null;
+    const results = await mapWithConcurrency(cities, options.concurrency || DEFAULT_CONCURRENCY, async city => {
+        try {
+            if (options.onQuery) {
+                options.onQuery(1);
+            }
+            const response = await fetchJson(`${baseUrl}/weather?lat=${city.lat}&lon=${city.lon}&date=${start.toISOString()}&last_date=${end.toISOString()}`, options);
+            if (!response || !Array.isArray(response.weather)) {
+                return null;
+            }
+            return response.weather
+                .map(weather => {
+                    const normalized = normalize(weather, weather.precipitation, weather.wind_speed);
+                    return normalized ? Object.assign({ time: toLocalHourString(new Date(weather.timestamp)) }, normalized) : null;
+                })
+                .filter(entry => entry !== null);
+        } catch (error) {
+            lastError = error;
+            return null;
+        }
+    });
+    return throwIfAllFailed(results, lastError);
+}
+
+module.exports = {
+    name: "brightsky",
+    label: "Bright Sky (DWD)",
+    fetchCurrent,
+    fetchHourly
+};
@@ -0,0 +1,140 @@
+/**
+ * @file lib/providers/common.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description Shared helpers for the weather providers of MMM-Best-Weather: JSON fetching with timeout,
+ *              retries with backoff, bounded concurrency, apparent temperature and mapping of plain conditions to WMO weather codes.
+ *
+ * @changelog
+ *   2026-10-19: Initial version (provider abstraction).
+ *   2026-10-19: Added withRetries() (exponential backoff with jitter).
+ */
+
+const fetch = require("node-fetch"); // For API requests
+
+const HTTP_TIMEOUT = 15 * 1000; // 15s timeout for API requests
+
+// GET request returning the parsed JSON body; throws on timeout and non-2xx status
+async function fetchJson(url, options) {
+    const opts = options || {};
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), opts.timeout || HTTP_TIMEOUT);
+    try {
+        const response = await fetch(url, { signal: controller.signal, headers: opts.headers || {} });
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`HTTP ${response.status} ${response.statusText} - ${errorText.substring(0, 200)}`);
+        }
+        return await response.json();
+    } catch (error) {
+        if (error.name === "AbortError") {
+            throw new Error(`Timeout after ${(opts.timeout || HTTP_TIMEOUT) / 1000}s`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+// Runs fn(item, index) for all items with at most 'limit' calls in flight; results keep the item order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    const workers = [];
+    for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+}
+
+// Per-city providers return null for failed cities; if every city failed, rethrow the last error
+// so that the caller sees the real cause (e.g. HTTP 503) instead of an empty result
+function throwIfAllFailed(results, lastError) {
+    if (lastError && results.every(entry => entry === null)) {
+        throw lastError;
+    }
+    return results;
+}
+
+// Calls fn() up to 1 + retries times. The delay before retry n is baseDelayMs × 2^(n-1), scaled by a random
+// jitter factor of 0.5-1.5 so that several mirrors do not retry in lockstep. onRetry(error, attempt, delay) is optional.
+async function withRetries(fn, retries, baseDelayMs, onRetry) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt > retries) {
+                throw error;
+            }
+            const delay = baseDelayMs * Math.pow(2, attempt - 1) * (0.5 + Math.random());
+            if (onRetry) {
+                onRetry(error, attempt, delay);
+            }
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+// Apparent temperature (Steadman 1994, non-radiation version as used by the Australian BoM)
+// for providers that do not deliver a feels-like temperature. temp in °C, humidity in %, wind in km/h
+function apparentTemperature(temp, humidity, windSpeedKmh) {
+    const vapourPressure = (humidity / 100) * 6.105 * Math.exp((17.27 * temp) / (237.7 + temp));
+    return temp + 0.33 * vapourPressure - 0.70 * (windSpeedKmh / 3.6) - 4.00;
+}
+
+// WMO weather code from a plain condition ("dry", "fog", "drizzle", "rain", "showers", "sleet", "snow",
+// "snowshowers", "hail", "thunderstorm"), precipitation (mm/h) and cloud cover (%)
+function weatherCodeFromCondition(condition, precipitation, cloudCover) {
+    const precip = precipitation || 0;
+    switch (condition) {
+        case "thunderstorm":
+            return 95;
+        case "hail":
+            return 96;
+        case "fog":
+            return 45;
+        case "drizzle":
+            return precip < 0.2 ? 51 : (precip < 0.5 ? 53 : 55);
+        case "rain":
+            return precip < 2.5 ? 61 : (precip < 7.6 ? 63 : 65);
+        case "showers":
+            return precip < 2.5 ? 80 : (precip < 7.6 ? 81 : 82);
+        case "sleet":
+            return precip < 2.5 ? 66 : 67;
+        case "snow":
+            return precip < 1 ? 71 : (precip < 3 ? 73 : 75);
+        case "snowshowers":
+            return precip < 1 ? 85 : 86;
+        default:
+            // Dry: derive the sky condition from cloud cover
+            if (cloudCover === null || cloudCover === undefined) return 0;
+            if (cloudCover < 20) return 0;
+            if (cloudCover < 50) return 1;
+            if (cloudCover < 80) return 2;
+            return 3;
+    }
+}
+
+// Local time of a Date as "YYYY-MM-DDTHH:MM" (same format as Open-Meteo's hourly times)
+function toLocalHourString(date) {
+    const pad = n => n.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+module.exports = {
+    HTTP_TIMEOUT,
+    fetchJson,
+    mapWithConcurrency,
+    throwIfAllFailed,
+    withRetries,
+    apparentTemperature,
+    weatherCodeFromCondition,
+    toLocalHourString
+};
@@ -0,0 +1,40 @@
+/**
+ * @file lib/providers/index.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description Registry of the weather providers of MMM-Best-Weather.
+ *              Every provider exports name, label, fetchCurrent(cities, options) and fetchHourly(cities, options).
+ *              Both return an array aligned with 'cities'; each entry is a normalized observation
+ *              { temperature, apparentTemperature, weatherCode, precipitation, cloudCover, humidity, windSpeed }
+ *              (fetchHourly: an array of those with an additional local 'time' "YYYY-MM-DDTHH:MM"),
+ *              or null if no data is available for that city. Units: °C, mm, %, km/h.
+ *              options: { baseUrl, timeout, concurrency, userAgent, onQuery } (baseUrl allows testing against a local server,
+ *              onQuery(count) is called before every request with the number of locations it queries).
+ *
+ * @changelog
+ *   2026-10-19: Initial version with Open-Meteo, Bright Sky (DWD) and MET Norway.
+ *   2026-10-19: Reports the number of queried locations via options.onQuery (query ledger).
+ */
+
+const PROVIDERS = {
+    openmeteo: require("./openmeteo"),
+    brightsky: require("./brightsky"),
+    metno: require("./metno")
+};
+
+const DEFAULT_PROVIDER = "openmeteo";
+
+// Returns the provider module for a name; throws for unknown providers
+function getProvider(name) {
+    const provider = PROVIDERS[name || DEFAULT_PROVIDER];
+    if (!provider) {
+        throw new Error(`Unknown weather provider "${name}" (available: ${Object.keys(PROVIDERS).join(", ")})`);
+    }
+    return provider;
+}
+
+module.exports = {
+    PROVIDERS,
+    DEFAULT_PROVIDER,
+    getProvider
+};
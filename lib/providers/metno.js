@@ -0,0 +1,114 @@
+/**
+ * @file lib/providers/metno.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description MET Norway Locationforecast 2.0 weather provider (global coverage). One request per city
+ *              with bounded concurrency. MET Norway requires an identifying User-Agent (options.userAgent).
+ *
+ * @changelog
+ *   2026-10-19: Initial version.
+ *   2026-10-19: Reports the number of queried locations via options.onQuery (query ledger).
+ */
+
+const { fetchJson, mapWithConcurrency, throwIfAllFailed, apparentTemperature, weatherCodeFromCondition, toLocalHourString } = require("./common");
+
+const DEFAULT_BASE_URL = "https://api.met.no";
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_USER_AGENT = "MMM-Best-Weather github.com/rkorell/MMM-Best-Weather";
+
+// MET Norway symbol codes (without _day/_night/_polartwilight suffix) mapped to WMO weather codes
+const SYMBOL_CODES = {
+    clearsky: 0, fair: 1, partlycloudy: 2, cloudy: 3, fog: 45,
+    lightrain: 61, rain: 63, heavyrain: 65,
+    lightrainshowers: 80, rainshowers: 81, heavyrainshowers: 82,
+    lightsleet: 66, sleet: 67, heavysleet: 67,
+    lightsleetshowers: 66, sleetshowers: 67, heavysleetshowers: 67,
+    lightsnow: 71, snow: 73, heavysnow: 75,
+    lightsnowshowers: 85, snowshowers: 85, heavysnowshowers: 86
+};
+
+function weatherCodeFromSymbol(symbolCode, precipitation, cloudCover) {
+    if (!symbolCode) {
+        return weatherCodeFromCondition("dry", precipitation, cloudCover);
+    }
+    const symbol = symbolCode.split("_")[0];
+    if (symbol.indexOf("thunder") !== -1) {
+        return 95;
+    }
+    return SYMBOL_CODES[symbol] !== undefined ? SYMBOL_CODES[symbol] : weatherCodeFromCondition("dry", precipitation, cloudCover);
+}
+
+// One timeseries entry: instant values plus the summary/precipitation of the following hour
+function normalize(entry) {
+    const details = entry && entry.data && entry.data.instant && entry.data.instant.details;
+    if (!details || details.air_temperature === undefined) {
+        return null;
+    }
+    const nextHour = entry.data.next_1_hours || {};
+    const precipitation = nextHour.details && nextHour.details.precipitation_amount !== undefined ? nextHour.details.precipitation_amount : 0;
+    const windSpeed = (details.wind_speed || 0) * 3.6; // m/s -> km/h
+    const humidity = details.relative_humidity !== undefined ? details.relative_humidity : 70;
+    const cloudCover = details.cloud_area_fraction !== undefined ? details.cloud_area_fraction : 50;
+    return {
+        temperature: details.air_temperature,
+        apparentTemperature: apparentTemperature(details.air_temperature, humidity, windSpeed),
+        weatherCode: weatherCodeFromSymbol(nextHour.summary && nextHour.summary.symbol_code, precipitation, cloudCover),
+        precipitation: precipitation,
+        cloudCover: cloudCover,
+        humidity: humidity,
+        windSpeed: windSpeed
+    };
+}
+
+async function requestTimeseries(city, options) {
+    const url = `${options.baseUrl || DEFAULT_BASE_URL}/weatherapi/locationforecast/2.0/compact?lat=${Number(city.lat).toFixed(4)}&lon=${Number(city.lon).toFixed(4)}`;
+    if (options.onQuery) {
+        options.onQuery(1);
+    }
+    const response = await fetchJson(url, Object.assign({}, options, { headers: { "User-Agent": options.userAgent || DEFAULT_USER_AGENT } }));
+    return response && response.properties && Array.isArray(response.properties.timeseries) ? response.properties.timeseries : null;
+}
+
+async function fetchCurrent(cities, options) {
+    let lastError = null;
+    const results = await mapWithConcurrency(cities, options.concurrency || DEFAULT_CONCURRENCY, async city => {
+        try {
+            const timeseries = await requestTimeseries(city, options);
+            return timeseries && timeseries.length > 0 ? normalize(timeseries[0]) : null;
+        } catch (error) {
+            // One failing city must not discard the others
+            lastError = error;
+            return null;
+        }
+    });
+    return throwIfAllFailed(results, lastError);
+}
+
+async function fetchHourly(cities, options) {
+    let lastError = null;
+    const results = await mapWithConcurrency(cities, options.concurrency || DEFAULT_CONCURRENCY, async city => {
+        try {
+            const timeseries = await requestTimeseries(city, options);
+            if (!timeseries) {
+                return null;
+            }
+            return timeseries
+                .map(entry => {
+                    const normalized = normalize(entry);
+                    return normalized ? Object.assign({ time: toLocalHourString(new Date(entry.time)) }, normalized) : null;
+                })
+                .filter(entry => entry !== null);
+        } catch (error) {
+            lastError = error;
+            return null;
+        }
+    });
+    return throwIfAllFailed(results, lastError);
+}
+
+module.exports = {
+    name: "metno",
+    label: "MET Norway",
+    fetchCurrent,
+    fetchHourly
+};
@@ -0,0 +1,104 @@
+/**
+ * @file lib/providers/openmeteo.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description Open-Meteo weather provider. Queries the cities with multi-location requests (split into
+ *              batches of options.batchSize, at most options.concurrency in flight) and returns normalized
+ *              observations (or hourly series in local city time). A failed batch only drops its own cities.
+ *
+ * @changelog
+ *   2026-10-19: Initial version, moved from node_helper.fetchWeatherData.
+ *   2026-10-19: Reports the number of queried locations via options.onQuery (query ledger).
+ *   2026-10-19: Chunked requests for large city lists (batchSize, concurrency); results are merged
+ *              and a failed batch yields null entries instead of failing the whole request.
+ *   2026-10-19: requestBatched() takes the API path and is exported (air quality API, lib/providers/airquality.js).
+ */
+
+const { fetchJson, mapWithConcurrency, throwIfAllFailed } = require("./common");
+
+const DEFAULT_BASE_URL = "https://api.open-meteo.com";
+const FORECAST_PATH = "/v1/forecast";
+const DEFAULT_BATCH_SIZE = 50; // Locations per request (keeps the GET URL well below common length limits)
+const DEFAULT_CONCURRENCY = 2;
+const WEATHER_FIELDS = "temperature_2m,apparent_temperature,weathercode,precipitation,cloud_cover,relative_humidity_2m,wind_speed_10m";
+
+// Multi-location request; Open-Meteo returns a single object instead of an array for one location
+async function request(cities, apiPath, query, options) {
+    const latitudes = cities.map(city => city.lat).join(",");
+    const longitudes = cities.map(city => city.lon).join(",");
+    const url = `${options.baseUrl || DEFAULT_BASE_URL}${apiPath}?latitude=${latitudes}&longitude=${longitudes}&${query}`;
+
+    if (options.onQuery) {
+        options.onQuery(cities.length); // Open-Meteo bills one query per location
+    }
+    let response = await fetchJson(url, options);
+    if (cities.length === 1 && response && !Array.isArray(response)) {
+        response = [response];
+    }
+    if (!Array.isArray(response) || response.length !== cities.length) {
+        throw new Error(`Invalid Open-Meteo response structure: isArray=${Array.isArray(response)}, length=${Array.isArray(response) ? response.length : "N/A"}, expected=${cities.length}`);
+    }
+    return response;
+}
+
+// Splits the cities into batches, requests them with bounded concurrency and merges the results in city order.
+// Each batch result entry is mapped with mapEntry; entries of failed batches are null.
+// Only if every batch fails, the last error is thrown.
+async function requestBatched(cities, apiPath, query, options, mapEntry) {
+    const batchSize = Math.max(1, options.batchSize || DEFAULT_BATCH_SIZE);
+    const batches = [];
+    for (let i = 0; i < cities.length; i += batchSize) {
+        batches.push(cities.slice(i, i + batchSize));
+    }
+
+    let lastError = null;
+    const batchResults = await mapWithConcurrency(batches, options.concurrency || DEFAULT_CONCURRENCY, async batch => {
+        try {
+            const response = await request(batch, apiPath, query, options);
+            return response.map(mapEntry);
+        } catch (error) {
+            lastError = error;
+            return batch.map(() => null);
+        }
+    });
+
+    return throwIfAllFailed([].concat(...batchResults), lastError);
+}
+
+function normalize(values, i) {
+    return {
+        temperature: i === undefined ? values.temperature_2m : values.temperature_2m[i],
+        apparentTemperature: i === undefined ? values.apparent_temperature : values.apparent_temperature[i],
+        weatherCode: i === undefined ? values.weathercode : values.weathercode[i],
+        precipitation: i === undefined ? values.precipitation : values.precipitation[i],
+        cloudCover: i === undefined ? values.cloud_cover : values.cloud_cover[i],
+        humidity: i === undefined ? values.relative_humidity_2m : values.relative_humidity_2m[i],
+        windSpeed: i === undefined ? values.wind_speed_10m : values.wind_speed_10m[i]
+    };
+}
+
+async function fetchCurrent(cities, options) {
+    return requestBatched(cities, FORECAST_PATH, `current=${WEATHER_FIELDS}`, options, entry => {
+        if (!entry || !entry.current || entry.current.temperature_2m === undefined || entry.current.temperature_2m === null) {
+            return null;
+        }
+        return normalize(entry.current);
+    });
+}
+
+async function fetchHourly(cities, options) {
+    return requestBatched(cities, FORECAST_PATH, `hourly=${WEATHER_FIELDS}&forecast_days=7&timezone=auto`, options, entry => {
+        if (!entry || !entry.hourly || !Array.isArray(entry.hourly.time)) {
+            return null;
+        }
+        return entry.hourly.time.map((time, i) => Object.assign({ time: time }, normalize(entry.hourly, i)));
+    });
+}
+
+module.exports = {
+    name: "openmeteo",
+    label: "Open-Meteo",
+    fetchCurrent,
+    fetchHourly,
+    requestBatched
+};
@@ -0,0 +1,266 @@
+/**
+ * @file lib/scoring.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description Score engine for MMM-Best-Weather. Defines the built-in scoring profiles
+ *              (facet weights, thermal comfort curve, cloud aesthetic curve, precipitation/wind slopes,
+ *              weather code override tables) and computes the score of one set of weather values.
+ *              Has no MagicMirror dependencies, so it can be reused by command line tools.
+ *
+ * @changelog
+ *   2026-10-19: Initial version. HCI formula moved here from node_helper.js and generalized to profiles
+ *              (HCI:Beach, HCI:Urban, Hiking, Cycling, Skiing), selectable via config.scoreProfile.
+ *   2026-10-19: Optional air quality facets (config.airQuality: European AQI, UV index, birch/grass pollen) as
+ *              penalty multipliers with configurable curves (airQualityCurves).
+ *   2026-10-19: Stargazing profile for night scoring (config.nightProfile): clear sky dominates, cool optimum.
+ *   2026-10-19: With config.units "imperial", tOpt and sigma of the config and of custom profiles are read as °F
+ *              and converted; profiles and scoring stay metric (°C, km/h, mm).
+ */
+
+// Weather code override multipliers of the original HCI scoring (0.0 = worst, 1.0 = no penalty)
+const HCI_WC_OVERRIDES = {
+    0: 1.0, 1: 1.0, 2: 1.0,             // Clear / mainly clear / partly cloudy
+    3: 0.9,                             // Overcast
+    45: 0.7, 48: 0.7,                   // Fog / depositing rime fog
+    51: 0.7, 53: 0.7, 55: 0.7,          // Drizzle (light / moderate / dense)
+    56: 0.5, 57: 0.5,                   // Freezing drizzle
+    61: 0.6, 63: 0.4, 65: 0.3,          // Rain (slight / moderate / heavy)
+    66: 0.3, 67: 0.3,                   // Freezing rain
+    71: 0.4, 73: 0.4, 75: 0.3, 77: 0.4, // Snow
+    80: 0.5, 81: 0.3, 82: 0.3,          // Rain showers
+    85: 0.4, 86: 0.3,                   // Snow showers
+    95: 0.2, 96: 0.1, 99: 0.1           // Thunderstorms
+};
+
+// WMO codes of snowfall (snow, snow grains, snow showers)
+const SNOW_CODES = [71, 73, 75, 77, 85, 86];
+
+const DEFAULT_PROFILE = "HCI:Beach";
+
+// Penalty multipliers of the optional air quality facets (config.airQuality) as piecewise linear functions
+// [[value, multiplier], ...] (1.0 = no penalty). Facet names are the observation fields of lib/providers/airquality.js.
+const AIR_QUALITY_CURVES = {
+    europeanAqi: [[40, 1.0], [60, 0.9], [80, 0.7], [100, 0.5]],   // European AQI: fair up to 40, very poor from 80
+    uvIndex: [[5, 1.0], [8, 0.9], [11, 0.7]],                     // UV index: high from 6, extreme from 11
+    birchPollen: [[10, 1.0], [50, 0.85], [100, 0.7], [500, 0.5]], // Birch pollen (grains/m³)
+    grassPollen: [[10, 1.0], [30, 0.85], [50, 0.7], [150, 0.5]]    // Grass pollen (grains/m³)
+};
+
+/*
+ * Built-in profiles. Every profile defines:
+ *   weights      - facet weights for thermal comfort (tc), aesthetic (a) and physical (p), normalized to a sum of 1
+ *   tOpt, sigma  - Gaussian thermal comfort curve around the optimal apparent temperature (°C)
+ *   cloudCurve   - aesthetic score (0-10) as piecewise linear function of cloud cover [[cloud %, score], ...]
+ *   rainSlope    - precipitation penalty per mm (pRain = 10 - precipitation × rainSlope)
+ *   windSlope    - wind penalty per km/h (pWind = 10 - windSpeed × windSlope)
+ *   precipitationExemptCodes - weather codes whose precipitation is not penalized (e.g. snowfall for skiing)
+ *   wcOverrides  - weather code multipliers, wcDefault for codes missing in the table
+ * Optional (usually set from the module config): airQuality (enabled facets) and airQualityCurves.
+ */
+const PROFILES = {
+    // Original module formula (Scott et al. 2016, HCI:Beach weights 40/20/40)
+    "HCI:Beach": {
+        weights: { tc: 0.4, a: 0.2, p: 0.4 },
+        tOpt: 22,
+        sigma: 10,
+        cloudCurve: [[0, 9], [20, 10], [50, 7], [100, 2]],
+        rainSlope: 3,
+        windSlope: 0.2,
+        precipitationExemptCodes: [],
+        wcOverrides: HCI_WC_OVERRIDES,
+        wcDefault: 0.5
+    },
+    // City sightseeing: wider comfort range, clouds matter less
+    "HCI:Urban": {
+        weights: { tc: 0.4, a: 0.2, p: 0.4 },
+        tOpt: 22,
+        sigma: 12,
+        cloudCurve: [[0, 9], [20, 10], [60, 8], [100, 5]],
+        rainSlope: 2.5,
+        windSlope: 0.15,
+        precipitationExemptCodes: [],
+        wcOverrides: HCI_WC_OVERRIDES,
+        wcDefault: 0.5
+    },
+    // Walking uphill: cooler optimum, views (no fog, some clouds) count more
+    "Hiking": {
+        weights: { tc: 0.35, a: 0.25, p: 0.4 },
+        tOpt: 17,
+        sigma: 8,
+        cloudCurve: [[0, 9], [30, 10], [70, 7], [100, 4]],
+        rainSlope: 3,
+        windSlope: 0.25,
+        precipitationExemptCodes: [],
+        wcOverrides: Object.assign({}, HCI_WC_OVERRIDES, { 45: 0.5, 48: 0.5 }),
+        wcDefault: 0.5
+    },
+    // Cycling: wind weighs much more (25 km/h head wind already ruins the ride)
+    "Cycling": {
+        weights: { tc: 0.3, a: 0.1, p: 0.6 },
+        tOpt: 20,
+        sigma: 8,
+        cloudCurve: [[0, 9], [20, 10], [50, 8], [100, 5]],
+        rainSlope: 3.5,
+        windSlope: 0.4,
+        precipitationExemptCodes: [],
+        wcOverrides: Object.assign({}, HCI_WC_OVERRIDES, { 48: 0.4, 56: 0.2, 57: 0.2, 66: 0.1, 67: 0.1, 71: 0.2, 73: 0.2, 75: 0.1, 77: 0.2, 85: 0.2, 86: 0.1 }),
+        wcDefault: 0.5
+    },
+    // Skiing: cold optimum, snowfall is rewarded instead of penalized, rain is bad
+    "Skiing": {
+        weights: { tc: 0.3, a: 0.3, p: 0.4 },
+        tOpt: -3,
+        sigma: 7,
+        cloudCurve: [[0, 10], [30, 9], [70, 5], [100, 3]],
+        rainSlope: 3,
+        windSlope: 0.3,
+        precipitationExemptCodes: SNOW_CODES,
+        wcOverrides: {
+            0: 1.0, 1: 1.0, 2: 1.0, 3: 0.8,
+            45: 0.5, 48: 0.5,
+            51: 0.3, 53: 0.3, 55: 0.3, 56: 0.1, 57: 0.1,
+            61: 0.2, 63: 0.2, 65: 0.1, 66: 0.1, 67: 0.1,
+            71: 1.1, 73: 1.1, 75: 0.9, 77: 1.0,
+            80: 0.2, 81: 0.1, 82: 0.1,
+            85: 1.1, 86: 0.9,
+            95: 0.1, 96: 0.1, 99: 0.1
+        },
+        wcDefault: 0.5
+    },
+    // Night (nightMode: "profile"): clear sky for stargazing dominates, mild night temperatures, no fog
+    "Stargazing": {
+        weights: { tc: 0.25, a: 0.5, p: 0.25 },
+        tOpt: 14,
+        sigma: 10,
+        cloudCurve: [[0, 10], [20, 8], [50, 3], [100, 0]],
+        rainSlope: 3,
+        windSlope: 0.2,
+        precipitationExemptCodes: [],
+        wcOverrides: Object.assign({}, HCI_WC_OVERRIDES, { 3: 0.6, 45: 0.3, 48: 0.3 }),
+        wcDefault: 0.5
+    }
+};
+
+// Piecewise linear interpolation over [[x, y], ...] (clamped at both ends)
+function interpolate(points, x) {
+    if (x <= points[0][0]) {
+        return points[0][1];
+    }
+    for (let i = 0; i < points.length - 1; i++) {
+        const [x0, y0] = points[i];
+        const [x1, y1] = points[i + 1];
+        if (x <= x1) {
+            return x1 === x0 ? y1 : y0 + (x - x0) * (y1 - y0) / (x1 - x0);
+        }
+    }
+    return points[points.length - 1][1];
+}
+
+/**
+ * Builds the effective scoring profile from the module config.
+ * config.scoreProfile is a built-in profile name or a custom profile object; a custom object may
+ * name a built-in profile in "extends" and override any of its fields. The legacy options
+ * tOpt, sigma and wcOverrides are applied on top of the selected profile, as are the air quality
+ * facets (config.airQuality) and their curves (config.airQualityCurves over the defaults).
+ * Throws for an unknown profile name or air quality facet.
+ */
+function resolveProfile(config) {
+    const spec = config.scoreProfile || DEFAULT_PROFILE;
+    const custom = typeof spec === "object" ? toMetricTemperatures(spec, config.units) : {};
+    const baseName = typeof spec === "string" ? spec : (custom.extends || DEFAULT_PROFILE);
+
+    if (!PROFILES[baseName]) {
+        throw new Error(`Unknown score profile "${baseName}" (available: ${Object.keys(PROFILES).join(", ")})`);
+    }
+    const base = PROFILES[baseName];
+
+    const profile = Object.assign({}, base, custom, {
+        name: custom.name || (typeof spec === "string" ? baseName : `${baseName} (custom)`),
+        weights: Object.assign({}, base.weights, custom.weights),
+        wcOverrides: Object.assign({}, base.wcOverrides, custom.wcOverrides),
+        airQualityCurves: Object.assign({}, AIR_QUALITY_CURVES, base.airQualityCurves, custom.airQualityCurves, config.airQualityCurves)
+    });
+    delete profile.extends;
+
+    const overrides = toMetricTemperatures({ tOpt: config.tOpt, sigma: config.sigma }, config.units);
+    if (overrides.tOpt !== undefined) profile.tOpt = overrides.tOpt;
+    if (overrides.sigma !== undefined) profile.sigma = overrides.sigma;
+    if (config.wcOverrides) profile.wcOverrides = Object.assign({}, profile.wcOverrides, config.wcOverrides);
+    if (Array.isArray(config.airQuality) && config.airQuality.length > 0) profile.airQuality = config.airQuality;
+
+    profile.airQuality = profile.airQuality || [];
+    profile.airQuality.forEach(facet => {
+        if (!profile.airQualityCurves[facet]) {
+            throw new Error(`Unknown air quality facet "${facet}" (available: ${Object.keys(AIR_QUALITY_CURVES).join(", ")})`);
+        }
+    });
+
+    return profile;
+}
+
+// Copy of profile values with tOpt (°F -> °C) and sigma (a width: scaled only) converted for units "imperial"
+function toMetricTemperatures(values, units) {
+    const converted = Object.assign({}, values);
+    if (units === "imperial") {
+        if (typeof converted.tOpt === "number") converted.tOpt = (converted.tOpt - 32) * 5 / 9;
+        if (typeof converted.sigma === "number") converted.sigma = converted.sigma * 5 / 9;
+    }
+    return converted;
+}
+
+// Weather code multiplier of a profile (wcDefault for unknown codes)
+function getWeatherCodeOverride(weatherCode, profile) {
+    if (profile.wcOverrides && profile.wcOverrides[weatherCode] !== undefined) {
+        return profile.wcOverrides[weatherCode];
+    }
+    return profile.wcDefault !== undefined ? profile.wcDefault : 0.5;
+}
+
+/**
+ * Scores one set of weather values (current observation or one forecast hour) with a profile.
+ * Returns the total score (0-100) and the facet sub-scores TC, A, P (0-10 each), the WC multiplier and
+ * the air quality multiplier with its factors per enabled facet (facets without a value are skipped).
+ */
+function computeScore(observation, profile) {
+    // --- Thermal Comfort — Gaussian bell curve around T_opt ---
+    const TC = 10 * Math.exp(-0.5 * Math.pow((observation.apparentTemperature - profile.tOpt) / profile.sigma, 2));
+
+    // --- Aesthetic — Cloud cover rating ---
+    const A = interpolate(profile.cloudCurve, observation.cloudCover);
+
+    // --- Physical — Precipitation + Wind, worse value dominates ---
+    const exempt = profile.precipitationExemptCodes && profile.precipitationExemptCodes.indexOf(observation.weatherCode) !== -1;
+    const pRain = exempt ? 10 : Math.max(0, Math.min(10, 10 - observation.precipitation * profile.rainSlope));
+    const pWind = Math.max(0, Math.min(10, 10 - observation.windSpeed * profile.windSlope));
+    const P = Math.min(pRain, pWind);
+
+    // --- Weather Code Override (multiplier) ---
+    const wcOverride = getWeatherCodeOverride(observation.weatherCode, profile);
+
+    // --- Air quality penalties (optional facets, multipliers like WC_Override) ---
+    const aqFactors = {};
+    let aqMultiplier = 1;
+    (profile.airQuality || []).forEach(facet => {
+        const value = observation[facet];
+        if (value !== null && value !== undefined) {
+            aqFactors[facet] = interpolate(profile.airQualityCurves[facet], value);
+            aqMultiplier *= aqFactors[facet];
+        }
+    });
+
+    // --- Score (0-100) ---
+    const w = profile.weights;
+    const weightSum = (w.tc + w.a + w.p) || 1;
+    const score = Math.max(0, Math.min(100, (w.tc * TC + w.a * A + w.p * P) / weightSum * 10 * wcOverride * aqMultiplier));
+
+    return { score: score, tc: TC, aesthetic: A, physical: P, wcOverride: wcOverride, aqMultiplier: aqMultiplier, aqFactors: aqFactors };
+}
+
+module.exports = {
+    PROFILES,
+    DEFAULT_PROFILE,
+    AIR_QUALITY_CURVES,
+    resolveProfile,
+    computeScore,
+    getWeatherCodeOverride
+};
@@ -0,0 +1,564 @@
+/**
+ * @file lib/statistics.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description Statistics storage of MMM-Best-Weather: writes the TOP1 (optionally every city) of each fetch
+ *              as CSV, JSON Lines or SQLite file with optional monthly rotation and retention, reads the files
+ *              back in (including the legacy CSV format with German "dd.mm.yyyy HH:MM" timestamps) and
+ *              aggregates them into per day / week / month leaderboards (TOP1 count, average winning score,
+ *              longest streak). Has no MagicMirror dependencies, so it can be reused by command line tools.
+ *
+ * @changelog
+ *   2026-10-19: Initial version (statistics leaderboard).
+ *   2026-10-19: Statistics sinks (csv, jsonl, sqlite) moved here from node_helper.js: optional ranking of all
+ *              cities per fetch, monthly rotation and retention. Readers for all formats and rotated files.
+ *   2026-10-19: Air quality columns (EuropeanAQI, UVIndex, BirchPollen, GrassPollen, AQ_Multiplier). CSV files get
+ *              them (after a new header line) only with options.airQuality; SQLite tables are extended.
+ *   2026-10-19: options.since for readStatistics / readStatisticsFile: monthly files before it are skipped,
+ *              SQLite selects only the newer rows. getPeriodStart() for the leaderboard.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+
+// Column order of the current HCI format (header written by node_helper.js)
+const HCI_COLUMNS = ["Timestamp", "City", "WeatherCode", "Temperature", "ApparentTemperature", "Humidity", "CloudCover", "Precipitation", "WindSpeed", "TC", "A", "P", "WC_Override", "Score"];
+
+// Column order of the legacy format (linear score, before 2026-02-08)
+const LEGACY_COLUMNS = ["Timestamp", "City", "WeatherCode", "Temperature", "Humidity", "CloudCover", "Precipitation", "WindSpeed", "Score"];
+
+// Columns appended to the HCI format if the air quality facets are enabled (config.airQuality)
+const AIR_QUALITY_COLUMNS = ["EuropeanAQI", "UVIndex", "BirchPollen", "GrassPollen", "AQ_Multiplier"];
+
+// Column order of the CSV ranking file (every city of every fetch, statisticsLogAllCities)
+const RANKING_COLUMNS = ["Timestamp", "Rank"].concat(HCI_COLUMNS.slice(1));
+
+// CSV column -> row field
+const FIELDS = {
+    Rank: "rank",
+    WeatherCode: "weatherCode",
+    Temperature: "temperature",
+    ApparentTemperature: "apparentTemperature",
+    Humidity: "humidity",
+    CloudCover: "cloudCover",
+    Precipitation: "precipitation",
+    WindSpeed: "windSpeed",
+    TC: "tc",
+    A: "aesthetic",
+    P: "physical",
+    WC_Override: "wcOverride",
+    Score: "score",
+    EuropeanAQI: "europeanAqi",
+    UVIndex: "uvIndex",
+    BirchPollen: "birchPollen",
+    GrassPollen: "grassPollen",
+    AQ_Multiplier: "aqMultiplier"
+};
+
+// Fields of a JSON Lines / SQLite record (besides the ISO-8601 UTC timestamp)
+const RECORD_FIELDS = ["rank", "city", "weatherCode", "temperature", "apparentTemperature", "humidity", "cloudCover", "precipitation", "windSpeed", "tc", "aesthetic", "physical", "wcOverride", "score", "europeanAqi", "uvIndex", "birchPollen", "grassPollen", "aqMultiplier"];
+
+// Column types of the SQLite table (snake_case column names)
+const SQLITE_TYPES = { rank: "INTEGER", city: "TEXT NOT NULL", weatherCode: "INTEGER" };
+const SQLITE_TABLE = "statistics";
+
+const FORMATS = ["csv", "jsonl", "sqlite"];
+const FORMAT_EXTENSIONS = { jsonl: ".jsonl", sqlite: ".sqlite" };
+const RANKING_SUFFIX = "-ranking"; // CSV only: file name suffix of the ranking file
+
+const PERIODS = ["day", "week", "month"];
+
+// A streak lasts until the next update, unless the next update is further away than this (module not running)
+const MAX_UPDATE_GAP_MS = 3 * 60 * 60 * 1000;
+
+// "dd.mm.yyyy HH:MM" (local time, as written by node_helper.js); ISO timestamps are accepted as well
+function parseTimestamp(text) {
+    const match = /^(\d{1,2})\.(\d{1,2})\.(\d{4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(text.trim());
+    if (match) {
+        return new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1]), Number(match[4]), Number(match[5]), Number(match[6] || 0));
+    }
+    const date = new Date(text.trim());
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Numbers with decimal point or German decimal comma; empty or invalid values become null
+function parseNumber(text) {
+    if (text === undefined || text.trim() === "" || text.trim() === "undefined" || text.trim() === "null") {
+        return null;
+    }
+    const value = Number(text.trim().replace(",", "."));
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * Parses statistics CSV text into rows sorted by time:
+ * { timestamp (Date), city, weatherCode, temperature, apparentTemperature, humidity, cloudCover,
+ *   precipitation, windSpeed, tc, aesthetic, physical, wcOverride, score, europeanAqi, uvIndex,
+ *   birchPollen, grassPollen, aqMultiplier, format ("hci" | "legacy") }.
+ * Columns are mapped by header line; header lines may appear anywhere (e.g. an archive concatenated
+ * with a current file). Lines without a header are mapped by their column count. Fields missing
+ * in the format are null, unparsable lines are skipped.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let columns = null;
+
+    text.split(/\r?\n/).forEach(line => {
+        if (line.trim() === "") {
+            return;
+        }
+        const values = line.split(";");
+        if (values[0].trim() === "Timestamp") {
+            columns = values.map(value => value.trim());
+            return;
+        }
+
+        let lineColumns = columns;
+        if (!lineColumns || lineColumns.length !== values.length) {
+            if (values.length === HCI_COLUMNS.length) {
+                lineColumns = HCI_COLUMNS;
+            } else if (values.length === HCI_COLUMNS.length + AIR_QUALITY_COLUMNS.length) {
+                lineColumns = HCI_COLUMNS.concat(AIR_QUALITY_COLUMNS);
+            } else if (values.length === LEGACY_COLUMNS.length) {
+                lineColumns = LEGACY_COLUMNS;
+            } else {
+                return;
+            }
+        }
+
+        const row = { timestamp: null, city: null, format: lineColumns.indexOf("TC") !== -1 ? "hci" : "legacy" };
+        Object.keys(FIELDS).forEach(column => { row[FIELDS[column]] = null; });
+        lineColumns.forEach((column, index) => {
+            if (column === "Timestamp") {
+                row.timestamp = parseTimestamp(values[index]);
+            } else if (column === "City") {
+                row.city = values[index].trim();
+            } else if (FIELDS[column]) {
+                row[FIELDS[column]] = parseNumber(values[index]);
+            }
+        });
+
+        if (row.timestamp && row.city) {
+            rows.push(row);
+        }
+    });
+
+    // Stable sort keeps the file order for equal timestamps
+    rows.sort((a, b) => a.timestamp - b.timestamp);
+    return rows;
+}
+
+// Parses JSON Lines records ({ timestamp: ISO-8601, rank, city, ... }) into rows sorted by time; invalid lines are skipped
+function parseJsonLines(text) {
+    const rows = [];
+    text.split(/\r?\n/).forEach(line => {
+        if (line.trim() === "") {
+            return;
+        }
+        try {
+            const record = JSON.parse(line);
+            const row = recordToRow(record);
+            if (row.timestamp && row.city) {
+                rows.push(row);
+            }
+        } catch (error) {
+            // Skip truncated lines (e.g. power loss while writing)
+        }
+    });
+    rows.sort((a, b) => a.timestamp - b.timestamp);
+    return rows;
+}
+
+// JSON Lines / SQLite record -> row (same fields as parseCsv)
+function recordToRow(record) {
+    const row = { timestamp: record.timestamp ? new Date(record.timestamp) : null, format: "hci" };
+    RECORD_FIELDS.forEach(field => {
+        row[field] = record[field] !== undefined ? record[field] : null;
+    });
+    if (row.timestamp && isNaN(row.timestamp.getTime())) {
+        row.timestamp = null;
+    }
+    return row;
+}
+
+// better-sqlite3 is an optional dependency, only needed for statisticsFormat "sqlite"
+function openSqlite(filePath, readonly) {
+    let Database;
+    try {
+        Database = require("better-sqlite3");
+    } catch (error) {
+        throw new Error("SQLite statistics need the optional package better-sqlite3 (npm install better-sqlite3)");
+    }
+    return new Database(filePath, readonly ? { readonly: true, fileMustExist: true } : {});
+}
+
+const toSnakeCase = field => field.replace(/[A-Z]/g, letter => "_" + letter.toLowerCase());
+
+// Columns of the statistics table (tables of older versions lack the air quality columns)
+function getSqliteColumns(db) {
+    return db.prepare(`PRAGMA table_info(${SQLITE_TABLE})`).all().map(column => column.name);
+}
+
+// Rows of the statistics table, only those from since on if given (ISO timestamps sort as text)
+function readSqlite(filePath, since) {
+    const db = openSqlite(filePath, true);
+    try {
+        const existing = getSqliteColumns(db);
+        const columns = ["timestamp"].concat(RECORD_FIELDS)
+            .map(field => existing.indexOf(toSnakeCase(field)) !== -1 ? `${toSnakeCase(field)} AS ${field}` : `NULL AS ${field}`)
+            .join(", ");
+        const where = since ? "WHERE timestamp >= ? " : "";
+        return db.prepare(`SELECT ${columns} FROM ${SQLITE_TABLE} ${where}ORDER BY timestamp, rank`).all(since ? [since.toISOString()] : [])
+            .map(recordToRow)
+            .filter(row => row.timestamp && row.city);
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Reads one statistics file; the format follows the extension (.jsonl, .sqlite/.db, otherwise CSV).
+ * Returns the TOP1 rows only, unless options.allCities is set (rows of rank > 1 from ranking files),
+ * and with options.since (Date) only the rows from then on.
+ */
+async function readStatisticsFile(filePath, options) {
+    const opts = options || {};
+    const extension = path.extname(filePath).toLowerCase();
+    let rows;
+    if (extension === ".jsonl") {
+        rows = parseJsonLines(await fs.readFile(filePath, "utf8"));
+    } else if (extension === ".sqlite" || extension === ".db") {
+        rows = readSqlite(filePath, opts.since);
+    } else {
+        rows = parseCsv(await fs.readFile(filePath, "utf8"));
+    }
+    return rows.filter(row => (opts.allCities || row.rank === null || row.rank === 1) && (!opts.since || row.timestamp >= opts.since));
+}
+
+/**
+ * File of a statistics stream: the configured file name with the extension of the format
+ * (CSV keeps the configured one), an optional suffix and, with monthly rotation, the month:
+ * "BestWeatherStatisticsHCI.csv" -> "BestWeatherStatisticsHCI-2026-10.jsonl"
+ */
+function getStatisticsFilePath(baseFilePath, format, rotation, date, suffix) {
+    const originalExtension = path.extname(baseFilePath);
+    const stem = baseFilePath.substring(0, baseFilePath.length - originalExtension.length);
+    const extension = FORMAT_EXTENSIONS[format] || originalExtension || ".csv";
+    const month = rotation === "monthly" ? "-" + getPeriodKey(date || new Date(), "month") : "";
+    return stem + (suffix || "") + month + extension;
+}
+
+// Existing files of a statistics stream, unrotated file first, then by month: [{ filePath, month (null if unrotated) }]
+async function listStatisticsFiles(baseFilePath, format, suffix) {
+    const template = path.basename(getStatisticsFilePath(baseFilePath, format, "none", null, suffix));
+    const extension = path.extname(template);
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const pattern = new RegExp(`^${escape(template.substring(0, template.length - extension.length))}(?:-(\\d{4}-\\d{2}))?${escape(extension)}$`);
+
+    let names;
+    try {
+        names = await fs.readdir(path.dirname(baseFilePath));
+    } catch (error) {
+        return [];
+    }
+    return names
+        .map(name => ({ name: name, match: pattern.exec(name) }))
+        .filter(entry => entry.match)
+        .map(entry => ({ filePath: path.join(path.dirname(baseFilePath), entry.name), month: entry.match[1] || null }))
+        .sort((a, b) => (a.month || "").localeCompare(b.month || ""));
+}
+
+/**
+ * Reads all files of a statistics stream (unrotated file and all monthly files) into one list of
+ * rows sorted by time. With options.allCities the CSV ranking files are read instead of the TOP1 files.
+ * With options.since (Date) monthly files of earlier months are not read at all.
+ */
+async function readStatistics(baseFilePath, format, options) {
+    const opts = options || {};
+    const suffix = opts.allCities && (format || "csv") === "csv" ? RANKING_SUFFIX : "";
+    const firstMonth = opts.since ? getPeriodKey(opts.since, "month") : null;
+    const files = (await listStatisticsFiles(baseFilePath, format || "csv", suffix))
+        .filter(file => !firstMonth || !file.month || file.month >= firstMonth);
+    let rows = [];
+    for (const file of files) {
+        rows = rows.concat(await readStatisticsFile(file.filePath, opts));
+    }
+    rows.sort((a, b) => a.timestamp - b.timestamp);
+    return rows;
+}
+
+// "dd.mm.yyyy HH:MM" in local time (CSV format)
+function formatTimestamp(date) {
+    const pad = value => value.toString().padStart(2, "0");
+    return `${pad(date.getDate())}.${pad(date.getMonth() + 1)}.${date.getFullYear()} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// CSV cell of a record: sub-scores with 2 decimals, score with 1 decimal, raw values unchanged
+function formatCsvValue(column, record) {
+    if (column === "Timestamp") {
+        return formatTimestamp(record.timestamp);
+    }
+    if (column === "City") {
+        return record.city;
+    }
+    const value = record[FIELDS[column]];
+    if (value === null || value === undefined) {
+        return "";
+    }
+    if (column === "TC" || column === "A" || column === "P" || column === "WC_Override" || column === "AQ_Multiplier") {
+        return value.toFixed(2);
+    }
+    if (column === "Score") {
+        return value.toFixed(1);
+    }
+    return String(value);
+}
+
+// Last header line of a CSV file (null if there is none)
+async function readLastCsvHeader(filePath) {
+    const lines = (await fs.readFile(filePath, "utf8")).split(/\r?\n/).filter(line => line.startsWith("Timestamp;"));
+    return lines.length > 0 ? lines[lines.length - 1].trim() : null;
+}
+
+// Header line currently in force per CSV file (read once per file, then kept up to date)
+const csvHeaders = {};
+
+// Appends records to a CSV file. A file with other columns (e.g. air quality switched on) gets a new
+// header line first; parseCsv maps every line by the header above it.
+async function appendCsv(filePath, records, columns) {
+    const header = columns.join(";");
+    const fileExists = await fs.access(filePath).then(() => true).catch(() => false);
+    if (!fileExists) {
+        await fs.writeFile(filePath, header + "\n", { encoding: 'utf8' });
+    } else if ((csvHeaders[filePath] !== undefined ? csvHeaders[filePath] : await readLastCsvHeader(filePath)) !== header) {
+        await fs.appendFile(filePath, header + "\n", { encoding: 'utf8' });
+    }
+    csvHeaders[filePath] = header;
+    const lines = records.map(record => columns.map(column => formatCsvValue(column, record)).join(";") + "\n").join("");
+    await fs.appendFile(filePath, lines, { encoding: 'utf8' });
+}
+
+async function appendJsonLines(filePath, records) {
+    const lines = records.map(record => {
+        const line = { timestamp: record.timestamp.toISOString() };
+        RECORD_FIELDS.forEach(field => {
+            line[field] = record[field] !== undefined ? record[field] : null;
+        });
+        return JSON.stringify(line) + "\n";
+    }).join("");
+    await fs.appendFile(filePath, lines, { encoding: 'utf8' });
+}
+
+function insertSqlite(filePath, records) {
+    const db = openSqlite(filePath, false);
+    try {
+        const definitions = RECORD_FIELDS.map(field => `${toSnakeCase(field)} ${SQLITE_TYPES[field] || "REAL"}`).join(", ");
+        db.exec(`CREATE TABLE IF NOT EXISTS ${SQLITE_TABLE} (timestamp TEXT NOT NULL, ${definitions})`);
+        const existing = getSqliteColumns(db);
+        RECORD_FIELDS.filter(field => existing.indexOf(toSnakeCase(field)) === -1).forEach(field => {
+            db.exec(`ALTER TABLE ${SQLITE_TABLE} ADD COLUMN ${toSnakeCase(field)} ${SQLITE_TYPES[field] || "REAL"}`);
+        });
+        db.exec(`CREATE INDEX IF NOT EXISTS ${SQLITE_TABLE}_timestamp ON ${SQLITE_TABLE} (timestamp)`);
+        const insert = db.prepare(`INSERT INTO ${SQLITE_TABLE} (timestamp, ${RECORD_FIELDS.map(toSnakeCase).join(", ")}) VALUES (@timestamp, ${RECORD_FIELDS.map(field => "@" + field).join(", ")})`);
+        db.transaction(items => items.forEach(item => insert.run(item)))(records.map(record => {
+            const item = { timestamp: record.timestamp.toISOString() };
+            RECORD_FIELDS.forEach(field => {
+                item[field] = record[field] !== undefined ? record[field] : null;
+            });
+            return item;
+        }));
+    } finally {
+        db.close();
+    }
+}
+
+// Deletes monthly files (TOP1 and ranking) older than the last retentionMonths months (current month included)
+async function applyRetention(baseFilePath, format, retentionMonths, date) {
+    const now = date || new Date();
+    const oldestKept = getPeriodKey(new Date(now.getFullYear(), now.getMonth() - (retentionMonths - 1), 1), "month");
+    const files = (await listStatisticsFiles(baseFilePath, format, ""))
+        .concat(format === "csv" ? await listStatisticsFiles(baseFilePath, format, RANKING_SUFFIX) : []);
+    const deleted = [];
+    for (const file of files) {
+        if (file.month && file.month < oldestKept) {
+            await fs.unlink(file.filePath);
+            deleted.push(file.filePath);
+        }
+    }
+    return deleted;
+}
+
+/**
+ * Writes the result of one fetch. rows is the ranking (TOP1 first) with the fields of RECORD_FIELDS
+ * (rank is set here). Options:
+ *   format          - "csv" (default), "jsonl" (ISO-8601 UTC timestamps) or "sqlite" (needs better-sqlite3)
+ *   allCities       - log every city with its rank, not only the TOP1 (CSV: separate "-ranking" file)
+ *   rotation        - "none" (default) or "monthly" (one file per month)
+ *   retentionMonths - with monthly rotation: months to keep (0 = keep all), applied when a new month starts
+ *   airQuality      - CSV: append the air quality columns (JSON Lines and SQLite always have them)
+ *   date            - timestamp of the fetch (default: now)
+ * Returns { filePath, deleted } (deleted: files removed by the retention).
+ */
+async function writeStatistics(baseFilePath, rows, options) {
+    const opts = options || {};
+    const format = opts.format || "csv";
+    if (FORMATS.indexOf(format) === -1) {
+        throw new Error(`Unknown statistics format "${format}" (available: ${FORMATS.join(", ")})`);
+    }
+    const date = opts.date || new Date();
+    const filePath = getStatisticsFilePath(baseFilePath, format, opts.rotation, date);
+    const isNewFile = !(await fs.access(filePath).then(() => true).catch(() => false));
+    const records = (opts.allCities ? rows : rows.slice(0, 1))
+        .map((row, index) => Object.assign({}, row, { timestamp: date, rank: index + 1 }));
+
+    if (format === "csv") {
+        const extraColumns = opts.airQuality ? AIR_QUALITY_COLUMNS : [];
+        await appendCsv(filePath, records.slice(0, 1), HCI_COLUMNS.concat(extraColumns));
+        if (opts.allCities) {
+            await appendCsv(getStatisticsFilePath(baseFilePath, format, opts.rotation, date, RANKING_SUFFIX), records, RANKING_COLUMNS.concat(extraColumns));
+        }
+    } else if (format === "jsonl") {
+        await appendJsonLines(filePath, records);
+    } else {
+        insertSqlite(filePath, records);
+    }
+
+    let deleted = [];
+    if (isNewFile && opts.rotation === "monthly" && opts.retentionMonths > 0) {
+        deleted = await applyRetention(baseFilePath, format, opts.retentionMonths, date);
+    }
+    return { filePath: filePath, deleted: deleted };
+}
+
+// Period key of a local date: day "2026-10-19", week "2026-W43" (ISO 8601 week), month "2026-10"
+function getPeriodKey(date, period) {
+    const pad = value => value.toString().padStart(2, "0");
+    if (period === "day") {
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    if (period === "month") {
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+    }
+    if (period === "week") {
+        // The ISO week belongs to the year of its Thursday
+        const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - (date.getDay() + 6) % 7);
+        const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+        const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + (firstThursday.getDay() + 6) % 7) / 7);
+        return `${thursday.getFullYear()}-W${pad(week)}`;
+    }
+    throw new Error(`Unknown statistics period "${period}" (available: ${PERIODS.join(", ")})`);
+}
+
+// Local start of the period (day, week from Monday, month) containing the date
+function getPeriodStart(date, period) {
+    if (period === "day") {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+    if (period === "week") {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+    }
+    if (period === "month") {
+        return new Date(date.getFullYear(), date.getMonth(), 1);
+    }
+    throw new Error(`Unknown statistics period "${period}" (available: ${PERIODS.join(", ")})`);
+}
+
+/**
+ * Leaderboard of a list of rows (all rows count, filter by period beforehand).
+ * Per city: wins (number of updates as TOP1), avgScore (average winning score, null without scores)
+ * and longestStreak (most consecutive updates as TOP1) with its duration in ms (until the next
+ * update of another city, or the last update of the streak if there is none or after a long gap).
+ * Sorted by wins, then average score.
+ */
+function computeLeaderboard(rows) {
+    const cities = {};
+    const entryOf = city => {
+        if (!cities[city]) {
+            cities[city] = { city: city, wins: 0, scoreSum: 0, scoreCount: 0, longestStreak: 0, longestStreakMs: 0 };
+        }
+        return cities[city];
+    };
+
+    let streakStart = 0;
+    rows.forEach((row, index) => {
+        const entry = entryOf(row.city);
+        entry.wins++;
+        if (row.score !== null) {
+            entry.scoreSum += row.score;
+            entry.scoreCount++;
+        }
+
+        // Streak ends at the last row or before a row of another city
+        const next = rows[index + 1];
+        if (!next || next.city !== row.city) {
+            const length = index - streakStart + 1;
+            const streakEnd = next && next.timestamp - row.timestamp <= MAX_UPDATE_GAP_MS ? next.timestamp : row.timestamp;
+            const durationMs = streakEnd - rows[streakStart].timestamp;
+            if (length > entry.longestStreak || (length === entry.longestStreak && durationMs > entry.longestStreakMs)) {
+                entry.longestStreak = length;
+                entry.longestStreakMs = durationMs;
+            }
+            streakStart = index + 1;
+        }
+    });
+
+    return Object.keys(cities)
+        .map(city => {
+            const entry = cities[city];
+            return {
+                city: entry.city,
+                wins: entry.wins,
+                avgScore: entry.scoreCount > 0 ? entry.scoreSum / entry.scoreCount : null,
+                longestStreak: entry.longestStreak,
+                longestStreakMs: entry.longestStreakMs
+            };
+        })
+        .sort((a, b) => (b.wins - a.wins) || ((b.avgScore || 0) - (a.avgScore || 0)));
+}
+
+/**
+ * Groups rows by period ("day", "week" or "month") and computes a leaderboard for each one.
+ * Returns [{ period, key, updates, leaderboard }], oldest period first.
+ */
+function aggregateByPeriod(rows, period) {
+    const groups = {};
+    const keys = [];
+    rows.forEach(row => {
+        const key = getPeriodKey(row.timestamp, period);
+        if (!groups[key]) {
+            groups[key] = [];
+            keys.push(key);
+        }
+        groups[key].push(row);
+    });
+    return keys.map(key => ({ period: period, key: key, updates: groups[key].length, leaderboard: computeLeaderboard(groups[key]) }));
+}
+
+// Leaderboard of the period (day, week, month) containing the given date (default: now)
+function getCurrentLeaderboard(rows, period, date) {
+    const key = getPeriodKey(date || new Date(), period);
+    const periodRows = rows.filter(row => getPeriodKey(row.timestamp, period) === key);
+    return { period: period, key: key, updates: periodRows.length, leaderboard: computeLeaderboard(periodRows) };
+}
+
+module.exports = {
+    HCI_COLUMNS,
+    LEGACY_COLUMNS,
+    AIR_QUALITY_COLUMNS,
+    RANKING_COLUMNS,
+    FORMATS,
+    PERIODS,
+    parseTimestamp,
+    parseCsv,
+    parseJsonLines,
+    readStatisticsFile,
+    readStatistics,
+    getStatisticsFilePath,
+    writeStatistics,
+    applyRetention,
+    getPeriodKey,
+    getPeriodStart,
+    computeLeaderboard,
+    aggregateByPeriod,
+    getCurrentLeaderboard
+};
@@ -0,0 +1,294 @@
+/**
+ * @file lib/validation.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description Config and city list validation for MMM-Best-Weather: unknown options, option values
+ *              (enumerations, numeric bounds, hour spans, coordinates), score profile parameters, the ordering
+ *              of the color gradients and the schema of city lists (missing names, coordinate ranges, duplicates).
+ *              Returns warnings { key, message } instead of throwing, so the module keeps running with the
+ *              values it can use. Has no MagicMirror dependencies, so it can be reused by command line tools.
+ *
+ * @changelog
+ *   2026-10-19: Initial version (CONFIG_WARNINGS diagnostics).
+ */
+
+const Scoring = require("./scoring");
+const Providers = require("./providers");
+
+// Options used by the module that have no frontend default (profile overrides, log level)
+const OPTIONAL_KEYS = ["tOpt", "sigma", "wcOverrides", "DebugLevel"];
+
+// Allowed values of enumeration options (null = option not set)
+const ENUM_OPTIONS = {
+    units: ["metric", "imperial"],
+    windUnits: [null, "kmh", "ms", "mph", "kn"],
+    precipitationUnits: [null, "mm", "inch"],
+    provider: Object.keys(Providers.PROVIDERS),
+    mode: ["current", "forecast"],
+    nightMode: ["off", "profile", "nextMorning"],
+    displayMode: ["list", "map"],
+    mapColorBy: ["score", "temperature"],
+    leaderboardPeriod: ["day", "week", "month"],
+    statisticsFormat: ["csv", "jsonl", "sqlite"],
+    statisticsRotation: ["none", "monthly"],
+    DebugLevel: ["ERROR", "WARN", "INFO", "DEBUG"]
+};
+
+// Bounds of numeric options: [min, max] (inclusive), integer options flagged
+const NUMERIC_OPTIONS = {
+    animationSpeed: { min: 0 },
+    decimalPlacesTemp: { min: 0, max: 3, integer: true },
+    maxDistanceKm: { min: 0 },
+    distancePenaltyPer100Km: { min: 0, max: 100 },
+    fetchRetries: { min: 0, max: 10, integer: true },
+    fetchRetryDelayMs: { min: 0 },
+    maxStaleness: { min: 0 },
+    openmeteoMaxQueriesPerDay: { min: 1, integer: true },
+    historyLength: { min: 1, max: 50, integer: true },
+    maxRanked: { min: 0, integer: true },
+    mapWidth: { min: 50, max: 4000 },
+    stabilityMargin: { min: 0, max: 100 },
+    stabilityFetches: { min: 0, integer: true },
+    tieThreshold: { min: 0, max: 100 },
+    leaderboardSize: { min: 1, integer: true },
+    statisticsRetentionMonths: { min: 0, integer: true }
+};
+
+const isNumber = value => typeof value === "number" && isFinite(value);
+
+// "must be a number between 0 and 3" / "must be an integer >= 1"
+function checkNumber(value, bounds) {
+    if (!isNumber(value)) {
+        return "must be a number";
+    }
+    if (bounds.integer && !Number.isInteger(value)) {
+        return "must be an integer";
+    }
+    if (bounds.min !== undefined && value < bounds.min || bounds.max !== undefined && value > bounds.max) {
+        return bounds.max === undefined ? `must be >= ${bounds.min}` : `must be between ${bounds.min} and ${bounds.max}`;
+    }
+    return null;
+}
+
+// { lat, lon } within the coordinate ranges
+function checkCoordinates(lat, lon) {
+    if (!isNumber(lat) || lat < -90 || lat > 90) {
+        return `latitude must be between -90 and 90 (got ${JSON.stringify(lat)})`;
+    }
+    if (!isNumber(lon) || lon < -180 || lon > 180) {
+        return `longitude must be between -180 and 180 (got ${JSON.stringify(lon)})`;
+    }
+    return null;
+}
+
+// Weather code multipliers: WMO codes (integers) mapped to values between 0 and 1
+function checkWcOverrides(wcOverrides, key, warnings) {
+    if (typeof wcOverrides !== "object" || Array.isArray(wcOverrides)) {
+        warnings.push({ key: key, message: "must be an object of weather codes and multipliers, e.g. { \"3\": 0.8 }" });
+        return;
+    }
+    Object.keys(wcOverrides).forEach(code => {
+        if (!/^\d+$/.test(code)) {
+            warnings.push({ key: key, message: `"${code}" is not a WMO weather code` });
+        } else if (!isNumber(wcOverrides[code]) || wcOverrides[code] < 0 || wcOverrides[code] > 1) {
+            warnings.push({ key: `${key}.${code}`, message: `must be a multiplier between 0 and 1 (got ${JSON.stringify(wcOverrides[code])})` });
+        }
+    });
+}
+
+// Parameters of a custom profile object and the thermal comfort overrides (in the config's units)
+function checkProfileParameters(values, key, units, warnings) {
+    const tOptRange = units === "imperial" ? { min: -22, max: 113 } : { min: -30, max: 45 };
+    if (values.tOpt !== undefined) {
+        const problem = checkNumber(values.tOpt, tOptRange);
+        if (problem) warnings.push({ key: `${key}tOpt`, message: `${problem} (got ${JSON.stringify(values.tOpt)})` });
+    }
+    if (values.sigma !== undefined && (!isNumber(values.sigma) || values.sigma <= 0)) {
+        warnings.push({ key: `${key}sigma`, message: `must be a number greater than 0 (got ${JSON.stringify(values.sigma)})` });
+    }
+    if (values.weights !== undefined && (!values.weights || typeof values.weights !== "object" || Array.isArray(values.weights))) {
+        warnings.push({ key: `${key}weights`, message: "must be an object of facet weights, e.g. { tc: 40, a: 20, p: 40 }" });
+    } else if (values.weights !== undefined) {
+        Object.keys(values.weights).forEach(facet => {
+            if (!isNumber(values.weights[facet]) || values.weights[facet] < 0) {
+                warnings.push({ key: `${key}weights.${facet}`, message: "must be a number >= 0" });
+            }
+        });
+    }
+    if (values.wcOverrides !== undefined && values.wcOverrides !== null) {
+        checkWcOverrides(values.wcOverrides, `${key}wcOverrides`, warnings);
+    }
+}
+
+// Gradient points sorted ascending by their value field, each with a numeric value and a color string
+function checkGradient(gradient, key, valueField, warnings) {
+    if (!Array.isArray(gradient)) {
+        warnings.push({ key: key, message: `must be an array of { ${valueField}, color } points` });
+        return;
+    }
+    gradient.forEach((point, index) => {
+        if (!point || !isNumber(point[valueField]) || typeof point.color !== "string") {
+            warnings.push({ key: `${key}[${index}]`, message: `must be { ${valueField}: <number>, color: "<color>" }` });
+        } else if (index > 0 && gradient[index - 1] && isNumber(gradient[index - 1][valueField]) && point[valueField] <= gradient[index - 1][valueField]) {
+            warnings.push({ key: `${key}[${index}]`, message: `${valueField} ${point[valueField]} is not above the previous point (${gradient[index - 1][valueField]}); points must be in ascending order` });
+        }
+    });
+}
+
+// [from, to) local hour span
+function checkHourSpan(span, key, warnings) {
+    if (!Array.isArray(span) || span.length !== 2 || !span.every(hour => Number.isInteger(hour) && hour >= 0 && hour <= 24) || span[0] >= span[1]) {
+        warnings.push({ key: key, message: `must be [from, to] with whole hours 0-24 and from < to (got ${JSON.stringify(span)})` });
+    }
+}
+
+/**
+ * Validates a module config. knownKeys are the option names with a frontend default; other options
+ * (except OPTIONAL_KEYS) are reported as unknown, e.g. typos like "maxRank".
+ */
+function validateConfig(config, knownKeys) {
+    const warnings = [];
+
+    if (Array.isArray(knownKeys)) {
+        Object.keys(config)
+            .filter(key => knownKeys.indexOf(key) === -1 && OPTIONAL_KEYS.indexOf(key) === -1)
+            .forEach(key => warnings.push({ key: key, message: "unknown option (ignored)" }));
+    }
+
+    Object.keys(ENUM_OPTIONS).forEach(key => {
+        if (config[key] !== undefined && ENUM_OPTIONS[key].indexOf(config[key]) === -1) {
+            warnings.push({ key: key, message: `must be one of ${ENUM_OPTIONS[key].map(value => JSON.stringify(value)).join(", ")} (got ${JSON.stringify(config[key])})` });
+        }
+    });
+    ["fallbackProviders", "states", "airQuality"].forEach(key => {
+        if (config[key] !== undefined && config[key] !== null && !Array.isArray(config[key])) {
+            warnings.push({ key: key, message: `must be an array (got ${JSON.stringify(config[key])})` });
+        }
+    });
+    (Array.isArray(config.fallbackProviders) ? config.fallbackProviders : []).forEach(name => {
+        if (ENUM_OPTIONS.provider.indexOf(name) === -1) {
+            warnings.push({ key: "fallbackProviders", message: `unknown provider "${name}" (available: ${ENUM_OPTIONS.provider.join(", ")})` });
+        }
+    });
+
+    Object.keys(NUMERIC_OPTIONS).forEach(key => {
+        if (config[key] !== undefined && config[key] !== null) {
+            const problem = checkNumber(config[key], NUMERIC_OPTIONS[key]);
+            if (problem) warnings.push({ key: key, message: `${problem} (got ${JSON.stringify(config[key])})` });
+        }
+    });
+
+    // Score profiles: names and custom parameters, then the overrides on top
+    ["scoreProfile", "nightProfile"].forEach(key => {
+        if (config[key] === undefined) {
+            return;
+        }
+        try {
+            Scoring.resolveProfile({ scoreProfile: config[key], airQuality: config.airQuality, airQualityCurves: config.airQualityCurves });
+        } catch (error) {
+            warnings.push({ key: key, message: error.message });
+        }
+        if (config[key] && typeof config[key] === "object") {
+            checkProfileParameters(config[key], `${key}.`, config.units, warnings);
+        }
+    });
+    checkProfileParameters({ tOpt: config.tOpt, sigma: config.sigma, wcOverrides: config.wcOverrides }, "", config.units, warnings);
+
+    if (config.tempColorGradient !== undefined) {
+        checkGradient(config.tempColorGradient, "tempColorGradient", "temp", warnings);
+    }
+    if (config.mapScoreGradient !== undefined) {
+        checkGradient(config.mapScoreGradient, "mapScoreGradient", "score", warnings);
+    }
+
+    ["forecastHours", "morningHours"].forEach(key => {
+        if (config[key] !== undefined) {
+            checkHourSpan(config[key], key, warnings);
+        }
+    });
+
+    if (config.homeLocation) {
+        const problem = checkCoordinates(config.homeLocation.lat, config.homeLocation.lon);
+        if (problem) warnings.push({ key: "homeLocation", message: problem });
+    }
+    if (config.homeCity && typeof config.homeCity === "object") {
+        const problem = checkCoordinates(config.homeCity.lat, config.homeCity.lon);
+        if (problem) warnings.push({ key: "homeCity", message: problem });
+    }
+
+    return warnings;
+}
+
+/**
+ * Validates a city list ({ city, state, lat, lon } entries): names, coordinate ranges and duplicates
+ * (same name or same coordinates). source names the list in the messages, e.g. "cities.json".
+ */
+function validateCities(cities, source) {
+    if (!Array.isArray(cities)) {
+        return [{ key: source, message: "must be an array of { city, state, lat, lon } entries" }];
+    }
+    if (cities.length === 0) {
+        return [{ key: source, message: "contains no cities" }];
+    }
+
+    const warnings = [];
+    const names = {};
+    const positions = {};
+    cities.forEach((entry, index) => {
+        const label = entry && typeof entry.city === "string" && entry.city.trim() !== "" ? entry.city : `#${index + 1}`;
+        if (!entry || typeof entry !== "object") {
+            warnings.push({ key: source, message: `entry #${index + 1} is not an object` });
+            return;
+        }
+        if (label === `#${index + 1}`) {
+            warnings.push({ key: source, message: `entry #${index + 1} has no city name` });
+        }
+        if (entry.state !== undefined && typeof entry.state !== "string") {
+            warnings.push({ key: source, message: `${label}: state must be a string` });
+        }
+        const problem = checkCoordinates(entry.lat, entry.lon);
+        if (problem) {
+            warnings.push({ key: source, message: `${label}: ${problem}` });
+            return;
+        }
+
+        const name = label.toLowerCase();
+        if (names[name] !== undefined) {
+            warnings.push({ key: source, message: `${label}: duplicate of entry #${names[name] + 1}` });
+        } else {
+            names[name] = index;
+        }
+        const position = `${entry.lat.toFixed(4)},${entry.lon.toFixed(4)}`;
+        if (positions[position] !== undefined && cities[positions[position]].city !== entry.city) {
+            warnings.push({ key: source, message: `${label}: same coordinates as ${cities[positions[position]].city}` });
+        } else if (positions[position] === undefined) {
+            positions[position] = index;
+        }
+    });
+    return warnings;
+}
+
+// Options that refer to the city list: states and a homeCity given by name must occur in it
+function validateCitySelection(cities, config) {
+    if (!Array.isArray(cities)) {
+        return [];
+    }
+    const warnings = [];
+    const states = cities.map(entry => entry && entry.state);
+    (Array.isArray(config.states) ? config.states : []).forEach(state => {
+        if (states.indexOf(state) === -1) {
+            warnings.push({ key: "states", message: `no city with state "${state}" in the city list` });
+        }
+    });
+    if (typeof config.homeCity === "string" && !cities.some(entry => entry && typeof entry.city === "string" && entry.city.toLowerCase() === config.homeCity.toLowerCase())) {
+        warnings.push({ key: "homeCity", message: `"${config.homeCity}" is not in the city list` });
+    }
+    return warnings;
+}
+
+module.exports = {
+    OPTIONAL_KEYS,
+    validateConfig,
+    validateCities,
+    validateCitySelection
+};
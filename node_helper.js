@@ -2,7 +2,7 @@
  * @file node_helper.js
  * @author Dr. Ralf Korell (2025)
  * @license MIT
- * @description Node helper for MMM-Best-Weather. Handles fetching weather data from Open-Meteo,
+ * @description Node helper for MMM-Best-Weather. Handles fetching weather data from the configured provider,
  *              calculating an HCI-adapted "best weather" score for multiple cities, determining the TOP1 city,
  *              and dynamically calculating the update interval based on API limits.
  *
@@ -26,22 +26,132 @@
  *                        Added apparent_temperature to API call. Extended CSV format with sub-scores.
  *   2026-02-19: Added level-based logging (DebugLevel config parameter).
  *              Replaced all console.log/error/warn with _log() helper using BestWeather prefix.
+ *   2026-10-19: Keep the score of every city and send the full sorted ranking (name, temperature,
+ *              icon, score) with WEATHER_DATA for the Top-N view. Day/night is evaluated per ranked city.
+ *   2026-10-19: Added forecast mode (mode: "forecast"): requests hourly data and averages the HCI score
+ *              over a configurable window (forecastDays, forecastHours). Extracted calculateHciScore().
+ *              Forecast results are not written to the statistics file.
+ *   2026-10-19: Moved the score formula into lib/scoring.js with named scoring profiles
+ *              (config.scoreProfile). Removed calculateHciScore() and getWeatherCodeOverride().
+ *   2026-10-19: Multiple module instances: city list per instance (config.cities inline array or
+ *              config.citiesFile), per-instance state keyed by module identifier, and all socket
+ *              notifications tagged with the identifier. WEATHER_ERROR payload is now { identifier, message }.
+ *   2026-10-19: Weather provider abstraction (lib/providers): Open-Meteo, Bright Sky (DWD) and MET Norway
+ *              return normalized observations. Selected via config.provider, with config.fallbackProviders
+ *              tried in order when the primary provider fails.
+ *   2026-10-19: Resilient fetching: retries with exponential backoff and jitter (fetchRetries, fetchRetryDelayMs),
+ *              last good WEATHER_DATA cached in memory and in cache/<identifier>.json. On fetch errors the
+ *              cached data is resent marked as stale until config.maxStaleness is exceeded.
+ *   2026-10-19: Central fetch scheduler: node_helper owns one timer per instance and fetches once per
+ *              computed interval. FETCH_WEATHER from any client is answered from the cache while it is fresh;
+ *              new data is pushed to all clients. A config change triggers an immediate fetch.
+ *   2026-10-19: Persistent daily query ledger (cache/query_ledger.json, reset at UTC midnight) counting every
+ *              location of every request. The update interval adapts to the budget left today; no fetch at all
+ *              once the budget is used up (WEATHER_DATA/WEATHER_ERROR with budgetExhausted and queryBudget).
+ *   2026-10-19: Partial provider results (failed Open-Meteo batches) only drop the affected cities;
+ *              one summary warning instead of one per city.
+ *   2026-10-19: TOP1 history moved from the frontend into the helper: kept per instance with the time each city
+ *              became TOP1 and until when it held the spot, persisted in cache/history_<identifier>.json
+ *              (config.historyLength entries) and sent as top1History with WEATHER_DATA.
+ *   2026-10-19: Statistics leaderboard (config.showLeaderboard): the statistics file is read back with
+ *              lib/statistics.js after every fetch and the leaderboard of the current day, week or month
+ *              (config.leaderboardPeriod) is sent as leaderboard with WEATHER_DATA.
+ *   2026-10-19: Statistics writing moved to lib/statistics.js: formats csv, jsonl and sqlite (config.statisticsFormat),
+ *              optional full ranking per fetch (statisticsLogAllCities), monthly rotation with retention
+ *              (statisticsRotation, statisticsRetentionMonths).
+ *   2026-10-19: Home location (config.homeLocation): cities are filtered by config.maxDistanceKm and config.states
+ *              before fetching, an optional travel penalty (config.distancePenaltyPer100Km) is subtracted from the
+ *              score, and distance/compass direction are sent for the TOP1 and the ranking. Statistics keep the
+ *              weather score without penalty.
+ *   2026-10-19: Home city comparison (config.homeCity, name from the city list or { lat, lon, name }): scored
+ *              like all other cities (queried additionally if it is not in the filtered list) and sent as
+ *              home { name, temperature, score, rank, total } with WEATHER_DATA.
+ *   2026-10-19: WEATHER_DATA carries the score breakdown of the TOP1 (facets TC/A/P with profile weights,
+ *              WC override, raw drivers and travel penalty) for the explanation panel.
+ *   2026-10-19: TOP1 hysteresis: the current TOP1 stays until a challenger leads by more than config.stabilityMargin
+ *              points or for config.stabilityFetches consecutive fetches; exact ties keep the current TOP1 instead of
+ *              the first-listed city. Cities within config.tieThreshold points of the TOP1 are sent as tiedWith.
+ *   2026-10-19: REFRESH_WEATHER (forced fetch, at most once per MIN_UPDATE_INTERVAL). Config changes that do not
+ *              affect the queried data (e.g. a new score profile) rescore the last observations instead of fetching.
+ *              Ranking entries carry the city coordinates.
+ *   2026-10-19: JSON API on MagicMirror's express app: GET /MMM-Best-Weather/api/current, /ranking and /history
+ *              (?instance=<identifier>, default: first instance) and POST /refresh, protected by config.apiToken.
+ *              Ranking entries carry weather code and sub-scores.
+ *   2026-10-19: Map view (displayMode: "map"): the region outline (config.mapOutline, GeoJSON, default
+ *              regions/germany.json) is loaded, cached and sent along with the ranking.
+ *   2026-10-19: Optional air quality facets (config.airQuality): European AQI, UV index and pollen from Open-Meteo's
+ *              air quality API (counted as Open-Meteo queries), scored as penalty multipliers, shown in the
+ *              breakdown and logged to the statistics file.
+ *   2026-10-19: Day/night per city. nightMode "profile" scores cities after sunset with config.nightProfile
+ *              (default Stargazing); nightMode "nextMorning" ranks the cities for the next morning
+ *              (config.morningHours) while it is night. Sunrise/sunset of the TOP1 for showSunTimes.
+ *   2026-10-19: WEATHER_ERROR carries a code (NO_CITIES, NO_CITIES_FILTERED, FETCH_FAILED) that the frontend
+ *              shows as a translated message.
+ *   2026-10-19: Config and city list validation (lib/validation.js) on startup and on every FETCH_WEATHER;
+ *              the warnings are logged and sent to the instance as CONFIG_WARNINGS { warnings: [{ key, message }] }.
+ *   2026-10-19: Rescoring cached observations no longer counts as a fetch for stabilityFetches.
+ *   2026-10-19: Air quality queries with another primary provider are checked against the Open-Meteo budget
+ *              (skipped when it is used up, and limiting the update interval). A failed air quality fetch is
+ *              remembered, so rescoring reuses the weather data instead of fetching again.
+ *   2026-10-19: Cache and history files are keyed by config.instanceId, or a hash of the city list and score profile,
+ *              instead of the positional module identifier (which changes when modules are added or reordered).
+ *              Files under the old name are still read once.
+ *   2026-10-19: The instance key hashes all options of FETCH_CONFIG_KEYS and the score profile as set in config.js
+ *              (initialConfig), so runtime profile or region changes keep the files. Instances with the same key
+ *              get a CONFIG_WARNINGS entry; cached data of another city selection is no longer served as stale.
+ *   2026-10-19: An exact tie with the current TOP1 ends a challenger's run of consecutive leads (stabilityFetches).
+ *   2026-10-19: The leaderboard reads only the statistics of the current period (no earlier monthly files or SQLite rows).
  */
 
 const NodeHelper = require("node_helper");
 const Log = require("logger");
-const fetch = require("node-fetch"); // For API requests
 const SunCalc = require("suncalc"); // For sunrise/sunset calculations
 const fs = require("fs").promises; // For reading/writing file content
+const path = require("path"); // For resolving per-instance cities files
+const crypto = require("crypto"); // Constant-time comparison of the API token
+const Scoring = require("./lib/scoring"); // Score profiles and score engine
+const Providers = require("./lib/providers"); // Weather provider backends
+const AirQuality = require("./lib/providers/airquality"); // Open-Meteo air quality API (optional score facets)
+const Statistics = require("./lib/statistics"); // Statistics file parser and leaderboards
+const Geo = require("./lib/geo"); // Distance and direction from the home location
+const Validation = require("./lib/validation"); // Config and city list checks (CONFIG_WARNINGS)
+const { withRetries } = require("./lib/providers/common"); // Retries with exponential backoff
 
 // Constants for minimum and maximum update intervals (in milliseconds)
 const MIN_UPDATE_INTERVAL = 60 * 1000; // 1 minute
 const MAX_UPDATE_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
-const HTTP_TIMEOUT = 15 * 1000; // 15s timeout for API requests
+const ERROR_RETRY_INTERVAL = 5 * 60 * 1000; // 5 minutes until the next attempt after a failed fetch
+const DEFAULT_MAX_STALENESS = 3 * 60 * 60 * 1000; // 3 hours of serving cached data before reporting an error
+const CACHE_DIR = "cache"; // Directory (inside the module) for the last good response per instance
+const QUERY_LEDGER_FILE = "query_ledger.json"; // Daily query counts per provider (inside CACHE_DIR)
+const DEFAULT_HISTORY_LENGTH = 2; // TOP1 history entries kept per instance (current TOP1 included)
+const DEFAULT_NIGHT_PROFILE = "Stargazing"; // Score profile for cities at night (nightMode: "profile")
+const DEFAULT_MORNING_HOURS = [8, 12]; // Local hour span scored by nightMode: "nextMorning"
+
+// Config options that determine which data is fetched; changes of any other option (score profile, stability,
+// display) rescore the last observations of the current interval instead of fetching again
+const FETCH_CONFIG_KEYS = ["cities", "citiesFile", "states", "homeLocation", "maxDistanceKm", "homeCity", "mode", "provider", "fallbackProviders", "providerOptions", "airQuality"];
+
+// Base path of the JSON API on MagicMirror's web server
+const API_PATH = "/MMM-Best-Weather/api";
+
+// Default map outline bundled with the module (GeoJSON, displayMode: "map")
+const DEFAULT_MAP_OUTLINE = "regions/germany.json";
+
+// Default city list bundled with the module
+const DEFAULT_CITIES_FILE = "cities.json";
 
 module.exports = NodeHelper.create({
-    // Store the loaded city data
-    cities: [],
+    // Loaded city lists, keyed by absolute file path (shared by instances using the same file)
+    citiesFiles: {},
+    mapOutlines: {},
+
+    // Per-instance state, keyed by the frontend module identifier
+    instances: {},
+
+    // Queries made today (UTC) per provider: { date: "YYYY-MM-DD", queries: { openmeteo: n, ... } }.
+    // Shared by all instances, since all of them query from the same IP address.
+    queryLedger: null,
 
     // Debug level: default DEBUG until config arrives from frontend
     debugLevel: "DEBUG",
@@ -60,13 +170,16 @@ module.exports = NodeHelper.create({
 
     start: async function() {
         this._log("INFO", `start() called, path=${this.path}`);
+        if (this.expressApp) {
+            this.registerApiRoutes();
+        }
+        await this.loadQueryLedger();
+        // Preload the bundled city list; per-instance lists are loaded on the first FETCH_WEATHER
         try {
-            const citiesFilePath = this.path + "/cities.json";
-            const citiesData = await fs.readFile(citiesFilePath, "utf8");
-            this.cities = JSON.parse(citiesData);
-            this._log("INFO", `Loaded ${this.cities.length} cities from ${citiesFilePath}`);
+            const cities = await this.loadCitiesFile(DEFAULT_CITIES_FILE);
+            Validation.validateCities(cities, DEFAULT_CITIES_FILE).forEach(warning => this._log("WARN", `Config: ${warning.key}: ${warning.message}`));
         } catch (error) {
-            this._log("ERROR", `Failed to load cities.json: ${error.message}`);
+            this._log("ERROR", `Failed to load ${DEFAULT_CITIES_FILE}: ${error.message}`);
             // Do NOT call sendSocketNotification here — no browser client connected yet
         }
     },
@@ -74,157 +187,923 @@ module.exports = NodeHelper.create({
     socketNotificationReceived: function(notification, payload) {
         this._log("DEBUG", `Received notification: ${notification}`);
         if (notification === "FETCH_WEATHER") {
+            const identifier = payload && payload.identifier;
+            const config = (payload && payload.config) || {};
+            if (!identifier) {
+                this._log("ERROR", "FETCH_WEATHER without module identifier, ignoring");
+                return;
+            }
+            this.getInstance(identifier).initialConfig = payload.initialConfig || config;
             // Update debug level from config on first (and every subsequent) call
-            if (payload && payload.DebugLevel) {
-                if (this.debugLevel !== payload.DebugLevel) {
-                    this.debugLevel = payload.DebugLevel;
+            if (config.DebugLevel) {
+                if (this.debugLevel !== config.DebugLevel) {
+                    this.debugLevel = config.DebugLevel;
                     this._log("DEBUG", `DebugLevel set to ${this.debugLevel}`);
                 }
             }
-            this.fetchWeatherData(payload);
+            this.sendConfigWarnings(identifier, config, payload.knownKeys)
+                .catch(error => this._log("ERROR", `Config validation failed for ${identifier}: ${error.message}`));
+            this.requestWeather(identifier, config);
+        } else if (notification === "REFRESH_WEATHER") {
+            // Forced refresh (BEST_WEATHER_REFRESH from another module)
+            const identifier = payload && payload.identifier;
+            if (identifier) {
+                this.getInstance(identifier).initialConfig = payload.initialConfig || payload.config || {};
+                this.refreshWeather(identifier, (payload && payload.config) || {});
+            }
+        }
+    },
+
+    // JSON API for home automation. All routes take ?instance=<module identifier>; without it the first
+    // registered instance answers. Data comes from the latest fetch (same as the last WEATHER_DATA).
+    registerApiRoutes: function() {
+        this.expressApp.get(`${API_PATH}/current`, (req, res) => this.handleApiRequest(req, res, (identifier, data) => ({
+            identifier: identifier,
+            city: data.cityName,
+            tiedWith: data.tiedWith || [],
+            temperature: data.temperature,
+            apparentTemperature: data.apparentTemperature,
+            weatherCode: data.weatherCode,
+            weatherIconClass: data.weatherIconClass,
+            isDay: data.isDay,
+            night: !!data.night,
+            sunTimes: data.sunTimes ? { sunrise: new Date(data.sunTimes.sunrise).toISOString(), sunset: new Date(data.sunTimes.sunset).toISOString() } : null,
+            score: data.score,
+            scoreProfile: data.scoreProfile,
+            breakdown: data.breakdown || null,
+            distanceKm: data.distanceKm,
+            direction: data.direction,
+            home: data.home || null,
+            forecast: data.forecast,
+            provider: data.provider,
+            fetchedAt: new Date(data.fetchedAt).toISOString(),
+            stale: !!data.stale,
+            nextUpdate: this.getNextUpdate(identifier),
+            queryBudget: this.getApiQueryBudget(identifier)
+        })));
+
+        this.expressApp.get(`${API_PATH}/ranking`, (req, res) => this.handleApiRequest(req, res, (identifier, data) => ({
+            identifier: identifier,
+            scoreProfile: data.scoreProfile,
+            fetchedAt: new Date(data.fetchedAt).toISOString(),
+            stale: !!data.stale,
+            nextUpdate: this.getNextUpdate(identifier),
+            queryBudget: this.getApiQueryBudget(identifier),
+            ranking: (data.ranking || []).map((entry, index) => Object.assign({ rank: index + 1 }, entry))
+        })));
+
+        this.expressApp.get(`${API_PATH}/history`, async (req, res) => {
+            const identifier = this.getApiInstance(req, res);
+            if (!identifier) {
+                return;
+            }
+            const history = await this.loadTop1History(identifier);
+            res.json({
+                identifier: identifier,
+                history: history.map(entry => ({
+                    city: entry.city,
+                    since: new Date(entry.since).toISOString(),
+                    until: entry.until ? new Date(entry.until).toISOString() : null
+                }))
+            });
+        });
+
+        this.expressApp.post(`${API_PATH}/refresh`, (req, res) => {
+            const identifier = this.getApiInstance(req, res);
+            if (!identifier) {
+                return;
+            }
+            const config = this.getInstance(identifier).config;
+            if (config.apiToken && !this.isValidApiToken(req, config.apiToken)) {
+                this._log("WARN", `API refresh for ${identifier} with missing or wrong token`);
+                res.status(401).json({ error: "Invalid or missing token" });
+                return;
+            }
+            this.refreshWeather(identifier, config);
+            res.status(202).json({ identifier: identifier, status: "refresh requested" });
+        });
+
+        this._log("INFO", `JSON API registered at ${API_PATH}/{current,ranking,history,refresh}`);
+    },
+
+    // Instance addressed by ?instance=, or the first registered instance. Answers 404 itself if there is none.
+    getApiInstance: function(req, res) {
+        const identifiers = Object.keys(this.instances);
+        const identifier = req.query && req.query.instance ? req.query.instance : identifiers[0];
+        if (!identifier || identifiers.indexOf(identifier) === -1) {
+            res.status(404).json({ error: identifier ? `Unknown instance ${identifier}` : "No module instance registered yet" });
+            return null;
+        }
+        return identifier;
+    },
+
+    // Answers a GET route with buildResponse(identifier, cachedWeatherData), or 404 while there is no data yet
+    handleApiRequest: async function(req, res, buildResponse) {
+        const identifier = this.getApiInstance(req, res);
+        if (!identifier) {
+            return;
+        }
+        const cached = await this.loadCachedData(identifier);
+        if (!cached) {
+            res.status(404).json({ error: "No weather data yet" });
+            return;
+        }
+        res.json(buildResponse(identifier, cached.data));
+    },
+
+    // Token from "Authorization: Bearer <token>", the X-Api-Token header or ?token=, compared in constant time
+    isValidApiToken: function(req, apiToken) {
+        const authorization = req.get("Authorization") || "";
+        const token = authorization.startsWith("Bearer ")
+            ? authorization.substring(7)
+            : (req.get("X-Api-Token") || (req.query && req.query.token) || "");
+        const expected = Buffer.from(String(apiToken));
+        const given = Buffer.from(String(token));
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    },
+
+    // Query budget of the instance's provider with resetAt as ISO time
+    getApiQueryBudget: function(identifier) {
+        const budget = this.getQueryBudget(this.getInstance(identifier).config);
+        return Object.assign({}, budget, { resetAt: new Date(budget.resetAt).toISOString() });
+    },
+
+    // ISO time of the next scheduled fetch (null if none is scheduled)
+    getNextUpdate: function(identifier) {
+        const instance = this.getInstance(identifier);
+        return instance.timer && instance.nextFetchAt ? new Date(instance.nextFetchAt).toISOString() : null;
+    },
+
+    // Per-instance state: config, cached result, scheduler timer
+    getInstance: function(identifier) {
+        if (!this.instances[identifier]) {
+            this.instances[identifier] = { config: {}, initialConfig: null, configKey: null, timer: null, fetching: false, nextFetchAt: null, nextIntervalMs: null, lastGood: null, history: null, challenger: null, challengerCount: 0, lastObservations: null };
+        }
+        return this.instances[identifier];
+    },
+
+    // Answers a client's FETCH_WEATHER. The helper owns one scheduler per instance, so any number of
+    // connected browsers (same module identifier) cause only one API fetch per interval:
+    // fresh cached data (same config, younger than its update interval) is answered from the cache,
+    // a running fetch pushes its result to all clients when done, otherwise a fetch starts now.
+    requestWeather: async function(identifier, config) {
+        const instance = this.getInstance(identifier);
+        instance.config = config;
+        instance.configKey = JSON.stringify(config);
+
+        if (instance.fetching) {
+            this._log("DEBUG", `Fetch for ${identifier} already running, result will be pushed`);
+            return;
+        }
+
+        const cached = await this.loadCachedData(identifier);
+        if (cached && cached.configKey === instance.configKey && Date.now() - cached.data.fetchedAt < cached.data.calculatedUpdateIntervalMs) {
+            this._log("DEBUG", `Answering ${identifier} from cache (fetched ${new Date(cached.data.fetchedAt).toISOString()})`);
+            this.sendToInstance(identifier, "WEATHER_DATA", cached.data);
+            // After a restart no timer exists yet: continue the schedule where the cached fetch left off
+            if (!instance.timer) {
+                this.scheduleFetch(identifier, cached.data.fetchedAt + cached.data.calculatedUpdateIntervalMs - Date.now());
+            }
+            return;
+        }
+
+        // Another request may have started a fetch while the cache was being read
+        if (instance.fetching) {
+            return;
+        }
+        await this.runFetch(identifier);
+    },
+
+    // Forced fetch bypassing the cache. Refreshes within MIN_UPDATE_INTERVAL of the last fetch are answered from the cache,
+    // so a remote control cannot burn the query budget.
+    refreshWeather: async function(identifier, config) {
+        const instance = this.getInstance(identifier);
+        instance.config = config;
+        instance.configKey = JSON.stringify(config);
+        if (instance.fetching) {
+            return;
+        }
+        if (instance.lastObservations && Date.now() - instance.lastObservations.fetchedAt < MIN_UPDATE_INTERVAL) {
+            this._log("INFO", `Refresh for ${identifier} ignored, last fetch less than ${MIN_UPDATE_INTERVAL / 1000}s ago`);
+            await this.runFetch(identifier);
+            return;
+        }
+        this._log("INFO", `Refresh requested for ${identifier}`);
+        await this.runFetch(identifier, { forceFetch: true });
+    },
+
+    // Fetches now and schedules the next fetch (update interval after success, ERROR_RETRY_INTERVAL after errors).
+    // If the config changed while fetching, the fetch is repeated immediately with the new config.
+    // options.forceFetch: always query the provider (no rescoring of the last observations).
+    runFetch: async function(identifier, options) {
+        const instance = this.getInstance(identifier);
+        if (instance.timer) {
+            clearTimeout(instance.timer);
+            instance.timer = null;
+        }
+
+        const configKey = instance.configKey;
+        instance.fetching = true;
+        instance.nextIntervalMs = ERROR_RETRY_INTERVAL;
+        try {
+            await this.fetchWeatherData(identifier, instance.config, options);
+        } catch (error) {
+            this._log("ERROR", `Unexpected error during fetch for ${identifier}: ${error.message}`);
+        } finally {
+            instance.fetching = false;
+        }
+
+        if (instance.configKey !== configKey) {
+            await this.runFetch(identifier);
+            return;
+        }
+        this.scheduleFetch(identifier, instance.nextIntervalMs);
+    },
+
+    // (Re)starts the instance timer
+    scheduleFetch: function(identifier, delay) {
+        const instance = this.getInstance(identifier);
+        if (instance.timer) {
+            clearTimeout(instance.timer);
+        }
+        const safeDelay = Math.max(0, delay);
+        instance.nextFetchAt = Date.now() + safeDelay;
+        instance.timer = setTimeout(() => {
+            instance.timer = null;
+            this.runFetch(identifier);
+        }, safeDelay);
+        this._log("DEBUG", `Next fetch for ${identifier} in ${(safeDelay / 1000).toFixed(0)}s`);
+    },
+
+    // Sends a socket notification tagged with the module identifier, so only that instance processes it
+    sendToInstance: function(identifier, notification, payload) {
+        this.sendSocketNotification(notification, Object.assign({ identifier: identifier }, payload));
+    },
+
+    // Validates the config and the city list of an instance and sends the result as CONFIG_WARNINGS
+    // (an empty list clears the frontend's diagnostics line). knownKeys: option names with a frontend default.
+    sendConfigWarnings: async function(identifier, config, knownKeys) {
+        const warnings = Validation.validateConfig(config, knownKeys);
+        let cities = null;
+        if (Array.isArray(config.cities)) {
+            cities = config.cities;
+            warnings.push(...Validation.validateCities(cities, "cities"));
+        } else {
+            if (config.cities !== null && config.cities !== undefined) {
+                warnings.push({ key: "cities", message: "must be an array of { city, state, lat, lon } entries (ignored, using citiesFile)" });
+            }
+            const citiesFile = config.citiesFile || DEFAULT_CITIES_FILE;
+            try {
+                cities = await this.loadCitiesFile(citiesFile);
+                warnings.push(...Validation.validateCities(cities, citiesFile));
+            } catch (error) {
+                warnings.push({ key: "citiesFile", message: `${citiesFile} cannot be read: ${error.message}` });
+            }
+        }
+        warnings.push(...Validation.validateCitySelection(cities, config));
+
+        // Instances with the same key would overwrite each other's cache and history files
+        const instanceKey = this.getInstanceKey(identifier);
+        Object.keys(this.instances)
+            .filter(other => other !== identifier && this.instances[other].initialConfig && this.getInstanceKey(other) === instanceKey)
+            .forEach(other => warnings.push({ key: "instanceId", message: `same cache and history files (${instanceKey}) as ${other}, set a different instanceId in each instance` }));
+
+        warnings.forEach(warning => this._log("WARN", `Config: ${warning.key}: ${warning.message}`));
+        this.sendToInstance(identifier, "CONFIG_WARNINGS", { warnings: warnings });
+    },
+
+    // Reads and caches a cities file (path relative to the module directory or absolute)
+    loadCitiesFile: async function(citiesFile) {
+        const citiesFilePath = path.resolve(this.path, citiesFile);
+        if (!this.citiesFiles[citiesFilePath]) {
+            const citiesData = await fs.readFile(citiesFilePath, "utf8");
+            this.citiesFiles[citiesFilePath] = JSON.parse(citiesData);
+            this._log("INFO", `Loaded ${this.citiesFiles[citiesFilePath].length} cities from ${citiesFilePath}`);
+        }
+        return this.citiesFiles[citiesFilePath];
+    },
+
+    // Outline rings of the map view: config.mapOutline (GeoJSON file relative to the module directory or
+    // absolute), cached per file. Returns [] if the file cannot be read, so the map shows the cities only.
+    loadMapOutline: async function(config) {
+        const outlinePath = path.resolve(this.path, config.mapOutline || DEFAULT_MAP_OUTLINE);
+        if (!this.mapOutlines[outlinePath]) {
+            try {
+                const geoJson = JSON.parse(await fs.readFile(outlinePath, "utf8"));
+                this.mapOutlines[outlinePath] = Geo.outlineRings(geoJson);
+                this._log("INFO", `Loaded map outline with ${this.mapOutlines[outlinePath].length} rings from ${outlinePath}`);
+            } catch (error) {
+                this._log("ERROR", `Failed to load map outline ${outlinePath}: ${error.message}`);
+                return [];
+            }
+        }
+        return this.mapOutlines[outlinePath];
+    },
+
+    // City list of an instance: inline config.cities array, else config.citiesFile, else the bundled cities.json
+    getInstanceCities: async function(config) {
+        if (Array.isArray(config.cities)) {
+            return config.cities;
+        }
+        const citiesFile = config.citiesFile || DEFAULT_CITIES_FILE;
+        try {
+            return await this.loadCitiesFile(citiesFile);
+        } catch (error) {
+            this._log("ERROR", `Failed to load cities file ${citiesFile}: ${error.message}`);
+            return [];
+        }
+    },
+
+    // Filters the city list by config.states and (with config.homeLocation) config.maxDistanceKm.
+    // With a home location every city gets distanceKm and direction (compass point from home).
+    filterCities: function(cities, config) {
+        const home = config.homeLocation;
+        const hasHome = home && typeof home.lat === "number" && typeof home.lon === "number";
+        if (home && !hasHome) {
+            this._log("WARN", "homeLocation needs numeric lat and lon, ignoring it");
+        }
+        if (config.maxDistanceKm > 0 && !hasHome) {
+            this._log("WARN", "maxDistanceKm is set but no homeLocation, not filtering by distance");
+        }
+
+        const states = Array.isArray(config.states) && config.states.length > 0 ? config.states : null;
+        return cities
+            .filter(city => !states || states.indexOf(city.state) !== -1)
+            .map(city => {
+                if (!hasHome) {
+                    return city;
+                }
+                const distanceKm = Geo.distanceKm(home.lat, home.lon, city.lat, city.lon);
+                return Object.assign({}, city, {
+                    distanceKm: distanceKm,
+                    // No direction for the home city itself
+                    direction: distanceKm >= 1 ? Geo.compassDirection(Geo.bearing(home.lat, home.lon, city.lat, city.lon)) : null
+                });
+            })
+            .filter(city => !hasHome || !(config.maxDistanceKm > 0) || city.distanceKm <= config.maxDistanceKm);
+    },
+
+    // Hysteresis against TOP1 flapping. Switches from the current TOP1 (incumbent) to the best city only if
+    //   - stabilityMargin > 0: the best city leads by more than stabilityMargin score points, or
+    //   - stabilityFetches > 1: the same challenger has led in stabilityFetches consecutive fetches, or
+    //   - neither option is set: the best city leads at all (exact ties keep the incumbent).
+    // Otherwise the incumbent is moved to the first position. Returns true if the incumbent was held against a leader.
+    // The challenger count is kept in memory only; after a restart it starts again. countFetch is false when
+    // cached observations are rescored (profile/config change, throttled refresh): the ordering is re-applied, but
+    // the challenger count is left alone, since only real fetches count for stabilityFetches.
+    applyStability: function(identifier, config, scoredCities, incumbentName, countFetch) {
+        const instance = this.getInstance(identifier);
+        const incumbentIndex = scoredCities.findIndex(entry => entry.name === incumbentName);
+        if (incumbentIndex <= 0) {
+            // No incumbent (first fetch, no longer in the list) or incumbent is the best city anyway
+            if (countFetch) {
+                instance.challenger = null;
+                instance.challengerCount = 0;
+            }
+            return false;
+        }
+
+        const best = scoredCities[0];
+        const incumbent = scoredCities[incumbentIndex];
+        const lead = best.score - incumbent.score;
+        if (lead <= 0) {
+            // Exact tie: the incumbent keeps the spot, and a challenger's run of consecutive leads ends
+            if (countFetch) {
+                instance.challenger = null;
+                instance.challengerCount = 0;
+            }
+            scoredCities.splice(incumbentIndex, 1);
+            scoredCities.unshift(incumbent);
+            return false;
+        }
+        const margin = config.stabilityMargin > 0 ? config.stabilityMargin : 0;
+        const fetches = config.stabilityFetches > 1 ? Math.floor(config.stabilityFetches) : 1;
+
+        if (countFetch) {
+            instance.challengerCount = instance.challenger === best.name ? instance.challengerCount + 1 : 1;
+            instance.challenger = best.name;
+        }
+        const challengerCount = instance.challenger === best.name ? instance.challengerCount : 0;
+
+        const switchByMargin = margin > 0 ? lead > margin : (fetches <= 1 && lead > 0);
+        const switchByFetches = fetches > 1 && challengerCount >= fetches;
+        if (switchByMargin || switchByFetches) {
+            if (countFetch) {
+                instance.challenger = null;
+                instance.challengerCount = 0;
+            }
+            return false;
+        }
+
+        this._log("INFO", `TOP1 held: ${incumbent.name} (${best.name} leads by ${lead.toFixed(1)}, ${challengerCount}/${fetches} fetches)`);
+        scoredCities.splice(incumbentIndex, 1);
+        scoredCities.unshift(incumbent);
+        return true;
+    },
+
+    // config.homeCity as city entry: a name from the (unfiltered) city list or coordinates { lat, lon, name }
+    resolveHomeCity: function(config, allCities) {
+        const homeCity = config.homeCity;
+        if (!homeCity) {
+            return null;
+        }
+        if (typeof homeCity === "string") {
+            const match = allCities.find(city => city.city.toLowerCase() === homeCity.toLowerCase());
+            if (!match) {
+                this._log("WARN", `homeCity "${homeCity}" not found in the city list, ignoring it`);
+            }
+            return match || null;
         }
+        if (typeof homeCity.lat === "number" && typeof homeCity.lon === "number") {
+            return { city: homeCity.name || homeCity.city || "Home", state: homeCity.state || "", lat: homeCity.lat, lon: homeCity.lon };
+        }
+        this._log("WARN", "homeCity needs a city name or numeric lat and lon, ignoring it");
+        return null;
+    },
+
+    // Part of the config that determines the queried data (see FETCH_CONFIG_KEYS)
+    getFetchKey: function(config) {
+        return JSON.stringify(FETCH_CONFIG_KEYS.map(key => (config[key] !== undefined ? config[key] : null)));
     },
 
-    fetchWeatherData: async function(config) {
-        this._log("DEBUG", `fetchWeatherData called, ${this.cities.length} cities`);
+    fetchWeatherData: async function(identifier, config, options) {
+        const instance = this.getInstance(identifier);
+        const allCities = await this.getInstanceCities(config);
+        const cities = this.filterCities(allCities, config);
+
+        // Home city: ranked normally if it is in the filtered list, otherwise queried as an extra location
+        // that is scored but not ranked
+        const homeCity = this.resolveHomeCity(config, allCities);
+        const isHomeCity = city => homeCity !== null && city.city === homeCity.city && city.lat === homeCity.lat && city.lon === homeCity.lon;
+        const homeInList = cities.some(isHomeCity);
+        const queryCities = homeCity && !homeInList ? cities.concat([homeCity]) : cities;
+        this._log("DEBUG", `fetchWeatherData called for ${identifier}, ${cities.length} of ${allCities.length} cities`);
 
-        if (this.cities.length === 0) {
+        if (allCities.length === 0) {
             this._log("ERROR", "No cities loaded, cannot fetch weather data");
-            this.sendSocketNotification("WEATHER_ERROR", "BestWeather: No cities loaded for weather fetch.");
+            this.sendToInstance(identifier, "WEATHER_ERROR", { message: "BestWeather: No cities loaded for weather fetch.", code: "NO_CITIES" });
             return;
         }
+        if (cities.length === 0) {
+            this._log("ERROR", "No cities left after filtering by states/maxDistanceKm");
+            this.sendToInstance(identifier, "WEATHER_ERROR", { message: "BestWeather: No cities within maxDistanceKm/states.", code: "NO_CITIES_FILTERED" });
+            return;
+        }
+
+        // Scoring profile (built-in or custom, with tOpt/sigma/wcOverrides applied on top)
+        const profile = this.getScoreProfile(config);
+        const airQualityEnabled = profile.airQuality.length > 0;
+        // Air quality data are Open-Meteo queries: billed to the primary budget if the provider is Open-Meteo,
+        // otherwise checked against the Open-Meteo budget separately
+        const airQualitySeparate = airQualityEnabled && (config.provider || Providers.DEFAULT_PROVIDER) !== "openmeteo";
+        const queriesPerUpdate = queryCities.length * (airQualityEnabled && !airQualitySeparate ? 2 : 1);
 
-        // 1. Prepare latitudes and longitudes for the Open-Meteo API
-        const latitudes = this.cities.map(city => city.lat).join(",");
-        const longitudes = this.cities.map(city => city.lon).join(",");
+        // Night handling: "profile" scores cities after sunset with the night profile, "nextMorning" switches to
+        // the forecast for the next morning while the sun is down at the home location (or the center of the cities)
+        const nightMode = config.nightMode || "off";
+        const nightProfile = nightMode === "profile" ? this.getScoreProfile(Object.assign({}, config, {
+            scoreProfile: config.nightProfile || DEFAULT_NIGHT_PROFILE, tOpt: undefined, sigma: undefined, wcOverrides: undefined
+        })) : null;
+        const referencePoint = config.homeLocation || {
+            lat: cities.reduce((sum, city) => sum + city.lat, 0) / cities.length,
+            lon: cities.reduce((sum, city) => sum + city.lon, 0) / cities.length
+        };
+        const nextMorning = config.mode !== "forecast" && nightMode === "nextMorning" && !this.isDayAt(referencePoint.lat, referencePoint.lon);
+        const forecastMode = config.mode === "forecast" || nextMorning;
 
-        // 2. Construct the Open-Meteo API URL (with apparent_temperature for HCI scoring)
-        const openMeteoUrl = `https://api.open-meteo.com/v1/forecast?latitude=${latitudes}&longitude=${longitudes}&current=temperature_2m,apparent_temperature,weathercode,precipitation,cloud_cover,relative_humidity_2m,wind_speed_10m`;
+        // Observations of the current interval can be rescored if only scoring/display options changed
+        // (and air quality data were requested if a profile with air quality facets was switched on; a failed
+        // air quality fetch is not repeated before the next regular fetch)
+        const fetchKey = this.getFetchKey(config);
+        const last = instance.lastObservations;
+        const reused = !(options && options.forceFetch) && last && last.fetchKey === fetchKey && Date.now() - last.fetchedAt < last.intervalMs
+            && (!airQualityEnabled || last.weatherResult.airQualityRequested) && last.forecastMode === forecastMode
+            ? last
+            : null;
+        if (reused) {
+            this._log("INFO", `Rescoring observations from ${new Date(reused.fetchedAt).toISOString()} (no fetch needed)`);
+        }
 
-        this._log("DEBUG", `API URL: ${openMeteoUrl.substring(0, 120)}...`);
+        // Hard stop: no fetch if today's query budget of the primary provider does not cover all cities
+        const budgetBeforeFetch = this.getQueryBudget(config);
+        if (!reused && budgetBeforeFetch.remaining < queriesPerUpdate) {
+            this._log("WARN", `Daily query budget used up (${budgetBeforeFetch.used}/${budgetBeforeFetch.limit}), next fetch after ${new Date(budgetBeforeFetch.resetAt).toISOString()}`);
+            instance.nextIntervalMs = budgetBeforeFetch.resetAt - Date.now() + MIN_UPDATE_INTERVAL;
+            await this.sendBudgetExhausted(identifier, budgetBeforeFetch);
+            return;
+        }
+        const airQualityBudget = airQualitySeparate ? this.getQueryBudget(config, "openmeteo") : null;
+        const airQualityAffordable = !airQualityBudget || airQualityBudget.remaining >= queryCities.length;
+        if (!reused && airQualityEnabled && !airQualityAffordable) {
+            this._log("WARN", `Open-Meteo query budget used up (${airQualityBudget.used}/${airQualityBudget.limit}), scoring without air quality`);
+        }
 
-        let openMeteoResponse;
+        // 1./2. Fetch normalized observations (forecast mode: hourly series in local city time) from the
+        //       configured weather provider, falling back to config.fallbackProviders on failure
+        let weatherResult = reused ? reused.weatherResult : null;
         try {
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), HTTP_TIMEOUT);
-            const response = await fetch(openMeteoUrl, { signal: controller.signal });
-            clearTimeout(timeout);
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Open-Meteo API error: ${response.statusText} - ${errorText}`);
+            if (!weatherResult) {
+                weatherResult = await this.fetchFromProviders(queryCities, config, forecastMode);
+                // Air quality is optional: without it the cities are scored without the air quality facets
+                if (airQualityEnabled) {
+                    weatherResult.airQuality = airQualityAffordable ? await this.fetchAirQuality(queryCities, config, forecastMode) : null;
+                    weatherResult.airQualityRequested = true;
+                }
             }
-            openMeteoResponse = await response.json();
-            this._log("DEBUG", `API response: ${Array.isArray(openMeteoResponse) ? openMeteoResponse.length : 'single'} entries received`);
         } catch (error) {
             this._log("ERROR", `API fetch error: ${error.message}`);
-            this.sendSocketNotification("WEATHER_ERROR", `BestWeather: Open-Meteo fetch error: ${error.message}`);
+            await this.sendStaleOrError(identifier, config, `BestWeather: Weather fetch error: ${error.message}`);
             return;
         }
+        const observations = this.mergeAirQuality(weatherResult.data, weatherResult.airQuality, forecastMode);
 
-        // 3. HCI-adapted score calculation and determination of the TOP1 city
-        let bestScore = -Infinity;
-        let top1CityData = null;
+        // Forecast window (local dates and hour span) to aggregate the hourly data over
+        const forecastWindow = nextMorning
+            ? this.getMorningWindow(config, referencePoint)
+            : (forecastMode ? this.getForecastWindow(config) : null);
+        if (forecastWindow) {
+            this._log("DEBUG", `Forecast window: ${forecastWindow.dates.join(",")} ${forecastWindow.fromHour}-${forecastWindow.toHour}h`);
+        }
+
+        // 3. HCI-adapted score calculation for every city, sorted into a ranking (TOP1 = first entry)
+        const scoredCities = [];
 
-        if (Array.isArray(openMeteoResponse) && openMeteoResponse.length === this.cities.length) {
-            const numCities = this.cities.length;
+        // Travel penalty: score points per 100 km from the home location
+        const distancePenalty = config.distancePenaltyPer100Km > 0 ? config.distancePenaltyPer100Km : 0;
 
-            // HCI configuration parameters with defaults
-            const tOpt = config.tOpt !== undefined ? config.tOpt : 22;
-            const sigma = config.sigma !== undefined ? config.sigma : 10;
-            const wcOverrides = config.wcOverrides || {};
+        // Day or night per city (forecast mode: middle of the forecast window)
+        const iconTime = forecastWindow ? forecastWindow.midpoint : new Date();
 
-            for (let i = 0; i < numCities; i++) {
-                const city = this.cities[i];
-                const cityWeatherResponse = openMeteoResponse[i];
+        for (let i = 0; i < queryCities.length; i++) {
+            const city = queryCities[i];
+            const isDay = this.isDayAt(city.lat, city.lon, iconTime);
+            const night = !forecastMode && nightProfile !== null && !isDay;
 
-                // Check if the weather response for this city is valid
-                if (!cityWeatherResponse || !cityWeatherResponse.current || cityWeatherResponse.current.temperature_2m === undefined) {
-                    this._log("WARN", `Missing 'current' data for city index ${i} (${city.city}), skipping`);
+            let scored;
+            if (forecastMode) {
+                scored = this.scoreForecastWindow(observations[i], forecastWindow, profile);
+                if (!scored) {
+                    this._log("DEBUG", `No hourly data in forecast window for city index ${i} (${city.city}), skipping`);
                     continue;
                 }
-
-                // Extract weather data
-                const temp = cityWeatherResponse.current.temperature_2m;
-                const apparentTemp = cityWeatherResponse.current.apparent_temperature;
-                const weatherCode = cityWeatherResponse.current.weathercode;
-                const precipitation = cityWeatherResponse.current.precipitation;
-                const cloudCover = cityWeatherResponse.current.cloud_cover;
-                const humidity = cityWeatherResponse.current.relative_humidity_2m;
-                const windSpeed = cityWeatherResponse.current.wind_speed_10m;
-
-                // --- Thermal Comfort (40%) — Gaussian bell curve around T_opt ---
-                const TC = 10 * Math.exp(-0.5 * Math.pow((apparentTemp - tOpt) / sigma, 2));
-
-                // --- Aesthetic (20%) — Cloud cover rating (research: 10-20% optimal) ---
-                let A;
-                if (cloudCover <= 20) {
-                    A = 9 + cloudCover / 20;
-                } else if (cloudCover <= 50) {
-                    A = 10 - (cloudCover - 20) * 0.1;
-                } else {
-                    A = 7 - (cloudCover - 50) * 0.1;
+            } else {
+                // Check if the observation for this city is valid
+                if (!observations[i]) {
+                    this._log("DEBUG", `Missing current data for city index ${i} (${city.city}), skipping`);
+                    continue;
                 }
+                scored = Object.assign({}, observations[i], Scoring.computeScore(observations[i], night ? nightProfile : profile));
+            }
 
-                // --- Physical (40%) — Precipitation + Wind, worse value dominates ---
-                const pRain = Math.max(0, Math.min(10, 10 - precipitation * 3));
-                const pWind = Math.max(0, Math.min(10, 10 - windSpeed * 0.2));
-                const P = Math.min(pRain, pWind);
-
-                // --- Weather Code Override (multiplier) ---
-                const wcOverride = this.getWeatherCodeOverride(weatherCode, wcOverrides);
-
-                // --- HCI Score (0-100) ---
-                const score = (0.4 * TC + 0.2 * A + 0.4 * P) * 10 * wcOverride;
-
-                if (score > bestScore) {
-                    bestScore = score;
-                    top1CityData = {
-                        name: city.city,
-                        temperature: temp,
-                        apparentTemperature: apparentTemp,
-                        weatherCode: weatherCode,
-                        latitude: city.lat,
-                        longitude: city.lon,
-                        score: score,
-                        // Sub-scores for statistics
-                        tc: TC,
-                        aesthetic: A,
-                        physical: P,
-                        wcOverride: wcOverride,
-                        // Raw data for statistics
-                        humidity: humidity,
-                        cloudCover: cloudCover,
-                        precipitation: precipitation,
-                        windSpeed: windSpeed
-                    };
-                }
+            scoredCities.push({
+                name: city.city,
+                temperature: scored.temperature,
+                apparentTemperature: scored.apparentTemperature,
+                weatherCode: scored.weatherCode,
+                latitude: city.lat,
+                longitude: city.lon,
+                distanceKm: city.distanceKm !== undefined ? city.distanceKm : null,
+                direction: city.direction || null,
+                isDay: isDay,
+                night: night, // Scored with the night profile
+                score: city.distanceKm !== undefined
+                    ? Math.max(0, scored.score - city.distanceKm / 100 * distancePenalty)
+                    : scored.score,
+                weatherScore: scored.score, // Score without travel penalty
+                // Sub-scores for statistics
+                tc: scored.tc,
+                aesthetic: scored.aesthetic,
+                physical: scored.physical,
+                wcOverride: scored.wcOverride,
+                aqMultiplier: scored.aqMultiplier,
+                aqFactors: scored.aqFactors,
+                // Raw data for statistics
+                humidity: scored.humidity,
+                cloudCover: scored.cloudCover,
+                precipitation: scored.precipitation,
+                windSpeed: scored.windSpeed,
+                europeanAqi: scored.europeanAqi !== undefined ? scored.europeanAqi : null,
+                uvIndex: scored.uvIndex !== undefined ? scored.uvIndex : null,
+                birchPollen: scored.birchPollen !== undefined ? scored.birchPollen : null,
+                grassPollen: scored.grassPollen !== undefined ? scored.grassPollen : null,
+                // Extra home city location (not part of the ranking)
+                homeExtra: i >= cities.length
+            });
+        }
+
+        // Extra home city entry is compared with the ranking, but not ranked itself
+        const homeExtraIndex = scoredCities.findIndex(entry => entry.homeExtra);
+        const homeExtraData = homeExtraIndex !== -1 ? scoredCities.splice(homeExtraIndex, 1)[0] : null;
+
+        // Partial results (e.g. a failed request batch) only drop the affected cities
+        if (scoredCities.length < cities.length) {
+            this._log("WARN", `No usable data for ${cities.length - scoredCities.length} of ${cities.length} cities, ranking the remaining ones`);
+        }
+
+        // Stable sort keeps the cities.json order for equal scores; the hysteresis then keeps the current TOP1
+        // on ties and small leads (moved back to the first position)
+        scoredCities.sort((a, b) => b.score - a.score);
+        const top1History = await this.loadTop1History(identifier);
+        this.applyStability(identifier, config, scoredCities, top1History.length > 0 ? top1History[0].city : null, !reused);
+        const top1CityData = scoredCities.length > 0 ? scoredCities[0] : null;
+
+        // Cities within config.tieThreshold score points of the TOP1 (default 0: exact ties only)
+        const tieThreshold = config.tieThreshold > 0 ? config.tieThreshold : 0;
+        const tiedWith = top1CityData
+            ? scoredCities.slice(1).filter(entry => Math.abs(top1CityData.score - entry.score) <= tieThreshold).map(entry => entry.name)
+            : [];
+
+        // Home city line: rank among the ranked cities (an extra home location counts as one more city)
+        let home = null;
+        if (homeCity) {
+            const homeIndex = homeInList ? scoredCities.findIndex(entry => isHomeCity({ city: entry.name, lat: entry.latitude, lon: entry.longitude })) : -1;
+            const homeData = homeIndex !== -1 ? scoredCities[homeIndex] : homeExtraData;
+            if (homeData) {
+                home = {
+                    name: homeData.name,
+                    temperature: homeData.temperature,
+                    score: homeData.score,
+                    rank: homeIndex !== -1 ? homeIndex + 1 : 1 + scoredCities.filter(entry => entry.score > homeData.score).length,
+                    total: homeIndex !== -1 ? scoredCities.length : scoredCities.length + 1
+                };
+            } else {
+                this._log("WARN", `No data for homeCity ${homeCity.city}`);
             }
+        }
+
+        // 4. Day or night of the TOP1 city (determined per city while scoring) and the profile it was scored with
+        const isDayForTop1 = top1CityData ? top1CityData.isDay : true;
+        const top1Profile = top1CityData && top1CityData.night ? nightProfile : profile;
+
+        // Full ranking for the Top-N view (each city with its own day/night icon)
+        const ranking = scoredCities.map(entry => ({
+            name: entry.name,
+            temperature: entry.temperature,
+            score: entry.score,
+            weatherCode: entry.weatherCode,
+            tc: entry.tc,
+            aesthetic: entry.aesthetic,
+            physical: entry.physical,
+            wcOverride: entry.wcOverride,
+            latitude: entry.latitude,
+            longitude: entry.longitude,
+            distanceKm: entry.distanceKm,
+            direction: entry.direction,
+            isDay: entry.isDay,
+            weatherIconClass: this.getWeatherIcon(entry.weatherCode, entry.isDay)
+        }));
+
+        // 5. Calculate dynamic update interval from the primary provider's budget (see getUpdateSchedule).
+        //    With air quality from Open-Meteo next to another provider, its budget may slow the updates down as well
+        //    (once it is used up, the updates continue without air quality).
+        const budget = this.getQueryBudget(config);
+        const schedule = this.getUpdateSchedule(budget, queriesPerUpdate);
+        let calculatedUpdateIntervalMs = schedule.intervalMs;
+        if (airQualitySeparate && airQualityAffordable) {
+            const airQualitySchedule = this.getUpdateSchedule(this.getQueryBudget(config, "openmeteo"), queryCities.length);
+            calculatedUpdateIntervalMs = Math.max(calculatedUpdateIntervalMs, airQualitySchedule.intervalMs);
+        }
+
+        calculatedUpdateIntervalMs = Math.max(MIN_UPDATE_INTERVAL, calculatedUpdateIntervalMs);
+        calculatedUpdateIntervalMs = Math.min(MAX_UPDATE_INTERVAL, calculatedUpdateIntervalMs);
+
+        // Rescored observations keep the interval (and next fetch time) of the fetch they came from
+        const fetchedAt = reused ? reused.fetchedAt : Date.now();
+        if (reused) {
+            calculatedUpdateIntervalMs = reused.intervalMs;
         } else {
-            this._log("ERROR", `Invalid API response structure: isArray=${Array.isArray(openMeteoResponse)}, length=${Array.isArray(openMeteoResponse) ? openMeteoResponse.length : 'N/A'}, expected=${this.cities.length}`);
-            this.sendSocketNotification("WEATHER_ERROR", "BestWeather: Invalid API response structure.");
-            return;
+            instance.lastObservations = { fetchKey: fetchKey, forecastMode: forecastMode, weatherResult: weatherResult, fetchedAt: fetchedAt, intervalMs: calculatedUpdateIntervalMs };
         }
 
-        // 4. Determine day or night for the TOP1 city
-        let isDayForTop1 = true;
-        if (top1CityData && top1CityData.latitude !== null && top1CityData.longitude !== null) {
-            const now = new Date();
-            const times = SunCalc.getTimes(now, top1CityData.latitude, top1CityData.longitude);
-            isDayForTop1 = now > times.sunrise && now < times.sunset;
+        this._log("INFO", `Update interval: ${(calculatedUpdateIntervalMs / 1000).toFixed(0)}s (${schedule.queriesPerDay} queries/day, ${budget.used}/${budget.limit} used today)`);
+
+        // 6. Write statistics if configured (observations only, forecasts and rescored observations are not logged):
+        //    TOP1 or the full ranking as CSV, JSON Lines or SQLite, optionally rotated monthly (lib/statistics.js)
+        if (config.statisticsFileName && top1CityData && !forecastMode && !reused) {
+            try {
+                const written = await Statistics.writeStatistics(
+                    path.resolve(this.path, config.statisticsFileName),
+                    // Weather score without travel penalty, so that the statistics stay comparable (backtest)
+                    scoredCities.map(entry => Object.assign({}, entry, { city: entry.name, score: entry.weatherScore })),
+                    {
+                        format: config.statisticsFormat,
+                        allCities: config.statisticsLogAllCities,
+                        rotation: config.statisticsRotation,
+                        retentionMonths: config.statisticsRetentionMonths,
+                        airQuality: airQualityEnabled
+                    }
+                );
+                this._log("DEBUG", `Stats appended to ${written.filePath}`);
+                written.deleted.forEach(filePath => this._log("INFO", `Statistics retention: deleted ${filePath}`));
+            } catch (error) {
+                this._log("ERROR", `Error writing statistics for ${config.statisticsFileName}: ${error.message}`);
+            }
+        }
+
+        // 7. Send the TOP1 city data and the calculated update interval to the main module
+        if (top1CityData) {
+            this._log("INFO", `TOP1: ${top1CityData.name}, score=${top1CityData.score.toFixed(1)}, temp=${top1CityData.temperature}°C`);
+            const updatedHistory = await this.updateTop1History(identifier, config, top1CityData.name, Date.now());
+            const weatherData = {
+                cityName: top1CityData.name,
+                temperature: top1CityData.temperature,
+                apparentTemperature: top1CityData.apparentTemperature,
+                weatherCode: top1CityData.weatherCode,
+                score: top1CityData.score,
+                scoreProfile: top1Profile.name,
+                night: top1CityData.night,
+                distanceKm: top1CityData.distanceKm,
+                direction: top1CityData.direction,
+                provider: weatherResult.provider,
+                isDay: isDayForTop1,
+                sunTimes: config.showSunTimes ? this.getSunTimes(top1CityData.latitude, top1CityData.longitude, iconTime) : null,
+                weatherIconClass: this.getWeatherIcon(top1CityData.weatherCode, isDayForTop1),
+                ranking: ranking,
+                mapOutline: config.displayMode === "map" ? await this.loadMapOutline(config) : null,
+                home: home,
+                // Why the TOP1 won: facet sub-scores (0-10), profile weights, WC multiplier and raw drivers
+                breakdown: {
+                    tc: top1CityData.tc,
+                    aesthetic: top1CityData.aesthetic,
+                    physical: top1CityData.physical,
+                    wcOverride: top1CityData.wcOverride,
+                    weights: top1Profile.weights,
+                    apparentTemperature: top1CityData.apparentTemperature,
+                    cloudCover: top1CityData.cloudCover,
+                    precipitation: top1CityData.precipitation,
+                    windSpeed: top1CityData.windSpeed,
+                    weatherScore: top1CityData.weatherScore,
+                    distancePenalty: top1CityData.weatherScore - top1CityData.score,
+                    // Enabled air quality facets: { <facet>: { value, multiplier } } and their product
+                    airQuality: airQualityEnabled ? this.getAirQualityBreakdown(top1CityData, top1Profile) : null,
+                    aqMultiplier: top1CityData.aqMultiplier
+                },
+                top1History: updatedHistory,
+                tiedWith: tiedWith,
+                leaderboard: config.showLeaderboard ? await this.getLeaderboard(config) : null,
+                forecast: forecastWindow ? { dates: forecastWindow.dates, fromHour: forecastWindow.fromHour, toHour: forecastWindow.toHour, nextMorning: nextMorning } : null,
+                calculatedUpdateIntervalMs: calculatedUpdateIntervalMs,
+                queryBudget: this.getQueryBudget(config),
+                fetchedAt: fetchedAt,
+                stale: false
+            };
+            instance.nextIntervalMs = fetchedAt + calculatedUpdateIntervalMs - Date.now();
+            this._log("DEBUG", "Sending WEATHER_DATA to frontend");
+            this.sendToInstance(identifier, "WEATHER_DATA", weatherData);
+            await this.saveCachedData(identifier, weatherData);
         } else {
-            this._log("WARN", "Could not determine day/night for TOP1 city, defaulting to day");
+            this._log("ERROR", "Could not determine TOP1 city, no data to send");
+            await this.sendStaleOrError(identifier, config, "BestWeather: Could not determine TOP1 city.");
+        }
+    },
+
+    // Tries config.provider and then each of config.fallbackProviders until one delivers data for at least one city.
+    // Provider options come from config.providerOptions[<provider name>]. Returns { provider, data }.
+    fetchFromProviders: async function(cities, config, forecastMode) {
+        const providerNames = [config.provider || Providers.DEFAULT_PROVIDER].concat(config.fallbackProviders || []);
+        const errors = [];
+
+        const retries = config.fetchRetries !== undefined ? config.fetchRetries : 3;
+        const retryDelayMs = config.fetchRetryDelayMs !== undefined ? config.fetchRetryDelayMs : 2000;
+
+        for (const providerName of providerNames) {
+            try {
+                const provider = Providers.getProvider(providerName);
+                // Every location of every request (including retries) is counted in the query ledger
+                const options = Object.assign({}, config.providerOptions && config.providerOptions[providerName], {
+                    onQuery: count => this.recordQueries(providerName, count)
+                });
+                const data = await withRetries(async () => {
+                    const result = forecastMode
+                        ? await provider.fetchHourly(cities, options)
+                        : await provider.fetchCurrent(cities, options);
+                    if (result.filter(entry => entry !== null).length === 0) {
+                        throw new Error("no data for any city");
+                    }
+                    return result;
+                }, retries, retryDelayMs, (error, attempt, delay) => {
+                    this._log("WARN", `${provider.label} attempt ${attempt} failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s`);
+                });
+                this._log("DEBUG", `${provider.label}: data for ${data.filter(entry => entry !== null).length}/${cities.length} cities`);
+                return { provider: providerName, data: data };
+            } catch (error) {
+                this._log("WARN", `Provider ${providerName} failed: ${error.message}`);
+                errors.push(`${providerName}: ${error.message}`);
+            } finally {
+                await this.saveQueryLedger();
+            }
+        }
+        throw new Error(errors.join("; "));
+    },
+
+    // Air quality data for the cities (aligned with 'cities'), or null if the air quality API fails.
+    // Options come from config.providerOptions.airquality; the queries count as Open-Meteo queries.
+    fetchAirQuality: async function(cities, config, forecastMode) {
+        const options = Object.assign({}, config.providerOptions && config.providerOptions.airquality, {
+            onQuery: count => this.recordQueries("openmeteo", count)
+        });
+        const retries = config.fetchRetries !== undefined ? config.fetchRetries : 3;
+        const retryDelayMs = config.fetchRetryDelayMs !== undefined ? config.fetchRetryDelayMs : 2000;
+        try {
+            const data = await withRetries(
+                () => (forecastMode ? AirQuality.fetchHourly(cities, options) : AirQuality.fetchCurrent(cities, options)),
+                retries, retryDelayMs, (error, attempt, delay) => {
+                    this._log("WARN", `${AirQuality.label} attempt ${attempt} failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s`);
+                });
+            this._log("DEBUG", `${AirQuality.label}: data for ${data.filter(entry => entry !== null).length}/${cities.length} cities`);
+            return data;
+        } catch (error) {
+            this._log("WARN", `${AirQuality.label} failed, scoring without air quality: ${error.message}`);
+            return null;
+        } finally {
+            await this.saveQueryLedger();
+        }
+    },
+
+    // Adds the air quality values to the weather observations (forecast mode: per local hour)
+    mergeAirQuality: function(observations, airQuality, forecastMode) {
+        if (!airQuality) {
+            return observations;
+        }
+        return observations.map((observation, i) => {
+            if (!observation || !airQuality[i]) {
+                return observation;
+            }
+            if (!forecastMode) {
+                return Object.assign({}, observation, airQuality[i]);
+            }
+            const byTime = {};
+            airQuality[i].forEach(entry => { byTime[entry.time] = entry; });
+            return observation.map(hour => Object.assign({}, byTime[hour.time], hour));
+        });
+    },
+
+    // Breakdown of the enabled air quality facets of a scored city: { <facet>: { value, multiplier } }
+    // (multiplier null if the facet had no value)
+    getAirQualityBreakdown: function(cityData, profile) {
+        const breakdown = {};
+        profile.airQuality.forEach(facet => {
+            breakdown[facet] = {
+                value: cityData[facet],
+                multiplier: cityData.aqFactors && cityData.aqFactors[facet] !== undefined ? cityData.aqFactors[facet] : null
+            };
+        });
+        return breakdown;
+    },
+
+    // Current UTC date "YYYY-MM-DD" (Open-Meteo resets its daily limits at UTC midnight)
+    getUtcDate: function() {
+        return new Date().toISOString().substring(0, 10);
+    },
+
+    // Loads the persisted query ledger; counts from a previous UTC day are discarded
+    loadQueryLedger: async function() {
+        try {
+            const ledger = JSON.parse(await fs.readFile(path.join(this.path, CACHE_DIR, QUERY_LEDGER_FILE), "utf8"));
+            this.queryLedger = ledger && ledger.date === this.getUtcDate() ? ledger : null;
+        } catch (error) {
+            this.queryLedger = null;
+        }
+        if (this.queryLedger) {
+            this._log("INFO", `Query ledger ${this.queryLedger.date}: ${JSON.stringify(this.queryLedger.queries)}`);
         }
+    },
+
+    // Today's ledger, reset at UTC midnight
+    getQueryLedger: function() {
+        const today = this.getUtcDate();
+        if (!this.queryLedger || this.queryLedger.date !== today) {
+            this.queryLedger = { date: today, queries: {} };
+        }
+        return this.queryLedger;
+    },
+
+    // Counts queries (one per location, the way Open-Meteo bills them) for a provider
+    recordQueries: function(providerName, count) {
+        const ledger = this.getQueryLedger();
+        ledger.queries[providerName] = (ledger.queries[providerName] || 0) + count;
+    },
 
-        // 5. Calculate dynamic update interval
-        const openmeteoMaxQueriesPerDay = config.openmeteoMaxQueriesPerDay || 5000;
-        const numCitiesToQuery = this.cities.length;
+    saveQueryLedger: async function() {
+        try {
+            await fs.mkdir(path.join(this.path, CACHE_DIR), { recursive: true });
+            await fs.writeFile(path.join(this.path, CACHE_DIR, QUERY_LEDGER_FILE), JSON.stringify(this.getQueryLedger()), { encoding: 'utf8' });
+        } catch (error) {
+            this._log("WARN", `Could not write query ledger: ${error.message}`);
+        }
+    },
 
+    // Update interval for a query budget and the queries of one update: { intervalMs, queriesPerDay }
+    //   Steady state: daily budget / queries per update, rounded down to tens of updates per day.
+    //   Adaptive: the queries left in today's ledger are spread over the time until the UTC midnight reset,
+    //   never faster than the steady state.
+    getUpdateSchedule: function(budget, queriesPerUpdate) {
         let calculatedUpdateIntervalMs;
         let resultingUpdatesPerDay = 0;
         let resultingNumberOfQueriesPerDay = 0;
 
-        if (numCitiesToQuery > 0) {
-            let updatesPerDayCandidate = Math.floor(openmeteoMaxQueriesPerDay / numCitiesToQuery);
+        if (queriesPerUpdate > 0) {
+            let updatesPerDayCandidate = Math.floor(budget.limit / queriesPerUpdate);
             updatesPerDayCandidate = Math.floor(updatesPerDayCandidate / 10) * 10;
             if (updatesPerDayCandidate === 0) {
                 updatesPerDayCandidate = 1;
@@ -235,70 +1114,345 @@ module.exports = NodeHelper.create({
             const intervalInMinutes = totalMinutesInDay / resultingUpdatesPerDay;
             calculatedUpdateIntervalMs = intervalInMinutes * 60 * 1000;
 
-            resultingNumberOfQueriesPerDay = resultingUpdatesPerDay * numCitiesToQuery;
+            resultingNumberOfQueriesPerDay = resultingUpdatesPerDay * queriesPerUpdate;
+
+            const msUntilReset = budget.resetAt - Date.now();
+            const updatesLeftToday = Math.floor(budget.remaining / queriesPerUpdate);
+            if (updatesLeftToday > 0) {
+                calculatedUpdateIntervalMs = Math.max(calculatedUpdateIntervalMs, msUntilReset / updatesLeftToday);
+            } else {
+                // Budget used up: next fetch right after the reset
+                calculatedUpdateIntervalMs = msUntilReset + MIN_UPDATE_INTERVAL;
+            }
         } else {
             this._log("WARN", "No cities configured, using MAX_UPDATE_INTERVAL");
             calculatedUpdateIntervalMs = MAX_UPDATE_INTERVAL;
         }
 
-        calculatedUpdateIntervalMs = Math.max(MIN_UPDATE_INTERVAL, calculatedUpdateIntervalMs);
-        calculatedUpdateIntervalMs = Math.min(MAX_UPDATE_INTERVAL, calculatedUpdateIntervalMs);
+        return { intervalMs: calculatedUpdateIntervalMs, queriesPerDay: resultingNumberOfQueriesPerDay };
+    },
 
-        this._log("INFO", `Update interval: ${(calculatedUpdateIntervalMs / 1000).toFixed(0)}s (${resultingNumberOfQueriesPerDay} queries/day)`);
+    // Daily budget of the primary provider: openmeteoMaxQueriesPerDay for Open-Meteo,
+    // providerOptions[provider].maxQueriesPerDay for the others (falling back to openmeteoMaxQueriesPerDay)
+    // (or of providerName, e.g. "openmeteo" for the air quality queries)
+    getQueryBudget: function(config, providerName) {
+        providerName = providerName || config.provider || Providers.DEFAULT_PROVIDER;
+        const providerOptions = (config.providerOptions && config.providerOptions[providerName]) || {};
+        const limit = providerName === "openmeteo" || !providerOptions.maxQueriesPerDay
+            ? (config.openmeteoMaxQueriesPerDay || 5000)
+            : providerOptions.maxQueriesPerDay;
+        const used = this.getQueryLedger().queries[providerName] || 0;
+        const now = new Date();
+        const resetAt = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+        return { provider: providerName, limit: limit, used: used, remaining: Math.max(0, limit - used), resetAt: resetAt };
+    },
 
-        // 6. Write statistics to file if configured
-        if (config.statisticsFileName && top1CityData) {
-            const statsFilePath = this.path + "/" + config.statisticsFileName;
-            const now = new Date();
-            const timestamp = `${now.getDate().toString().padStart(2, '0')}.${(now.getMonth() + 1).toString().padStart(2, '0')}.${now.getFullYear()} ${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
+    // Budget used up: resend the last good data with a budget notice, or an error with the reset time
+    sendBudgetExhausted: async function(identifier, budget) {
+        const cached = await this.loadCachedData(identifier);
+        if (cached) {
+            this.sendToInstance(identifier, "WEATHER_DATA", Object.assign({}, cached.data, {
+                stale: true,
+                staleSince: cached.data.fetchedAt,
+                budgetExhausted: true,
+                queryBudget: budget
+            }));
+            return;
+        }
+        this.sendToInstance(identifier, "WEATHER_ERROR", {
+            message: `BestWeather: Daily query budget used up (${budget.used}/${budget.limit}).`,
+            budgetExhausted: true,
+            queryBudget: budget
+        });
+    },
 
-            // Extended CSV line with sub-scores
-            const csvLine = `${timestamp};${top1CityData.name};${top1CityData.weatherCode};${top1CityData.temperature};${top1CityData.apparentTemperature};${top1CityData.humidity};${top1CityData.cloudCover};${top1CityData.precipitation};${top1CityData.windSpeed};${top1CityData.tc.toFixed(2)};${top1CityData.aesthetic.toFixed(2)};${top1CityData.physical.toFixed(2)};${top1CityData.wcOverride.toFixed(2)};${top1CityData.score.toFixed(1)}\n`;
+    // After a failed fetch: resend the last good data marked as stale while it is younger than
+    // config.maxStaleness, otherwise report the error. Either way the scheduler retries after ERROR_RETRY_INTERVAL.
+    sendStaleOrError: async function(identifier, config, message) {
+        const maxStaleness = config.maxStaleness !== undefined ? config.maxStaleness : DEFAULT_MAX_STALENESS;
+        const cached = await this.loadCachedData(identifier);
 
-            try {
-                const fileExists = await fs.access(statsFilePath, fs.constants.F_OK)
-                    .then(() => true)
-                    .catch(() => false);
+        if (cached && Date.now() - cached.data.fetchedAt <= maxStaleness) {
+            this._log("WARN", `Serving cached data from ${new Date(cached.data.fetchedAt).toISOString()} (stale)`);
+            this.sendToInstance(identifier, "WEATHER_DATA", Object.assign({}, cached.data, {
+                stale: true,
+                staleSince: cached.data.fetchedAt,
+                calculatedUpdateIntervalMs: ERROR_RETRY_INTERVAL
+            }));
+            return;
+        }
+        this.sendToInstance(identifier, "WEATHER_ERROR", { message: message, code: "FETCH_FAILED" });
+    },
 
-                if (!fileExists) {
-                    const header = "Timestamp;City;WeatherCode;Temperature;ApparentTemperature;Humidity;CloudCover;Precipitation;WindSpeed;TC;A;P;WC_Override;Score\n";
-                    await fs.writeFile(statsFilePath, header, { encoding: 'utf8' });
-                }
-                await fs.appendFile(statsFilePath, csvLine, { encoding: 'utf8' });
-                this._log("DEBUG", `Stats appended to ${config.statisticsFileName}`);
+    // Stable file name part of an instance: config.instanceId, else a hash of the options that define the instance
+    // (FETCH_CONFIG_KEYS and the score profile) as set in config.js, not as changed by BEST_WEATHER_SET_PROFILE or
+    // BEST_WEATHER_SET_REGION. MagicMirror's identifier (module_<position>_MMM-Best-Weather) changes when modules
+    // are added or reordered.
+    getInstanceKey: function(identifier) {
+        const instance = this.getInstance(identifier);
+        const config = instance.initialConfig || instance.config;
+        if (typeof config.instanceId === "string" && config.instanceId.trim() !== "") {
+            return config.instanceId.trim().replace(/[^A-Za-z0-9_-]/g, "_");
+        }
+        const source = JSON.stringify([this.getFetchKey(config), config.scoreProfile || Scoring.DEFAULT_PROFILE]);
+        return crypto.createHash("sha1").update(source).digest("hex").substring(0, 12);
+    },
+
+    // Cache file of an instance; legacy: named after the module identifier (read once after an update)
+    getCacheFilePath: function(identifier, legacy) {
+        const key = legacy ? identifier.replace(/[^A-Za-z0-9_-]/g, "_") : this.getInstanceKey(identifier);
+        return path.join(this.path, CACHE_DIR, `${key}.json`);
+    },
+
+    // Parsed JSON file, falling back to the legacy file name (null if neither can be read)
+    readInstanceFile: async function(getPath, identifier) {
+        for (const legacy of [false, true]) {
+            try {
+                return JSON.parse(await fs.readFile(getPath.call(this, identifier, legacy), "utf8"));
             } catch (error) {
-                this._log("ERROR", `Error writing statistics to ${statsFilePath}: ${error.message}`);
+                // Try the legacy name next
             }
         }
+        return null;
+    },
 
-        // 7. Send the TOP1 city data and the calculated update interval to the main module
-        if (top1CityData) {
-            this._log("INFO", `TOP1: ${top1CityData.name}, score=${top1CityData.score.toFixed(1)}, temp=${top1CityData.temperature}°C`);
-            const weatherData = {
-                cityName: top1CityData.name,
-                temperature: top1CityData.temperature,
-                apparentTemperature: top1CityData.apparentTemperature,
-                weatherCode: top1CityData.weatherCode,
-                score: top1CityData.score,
-                isDay: isDayForTop1,
-                weatherIconClass: this.getWeatherIcon(top1CityData.weatherCode, isDayForTop1),
-                calculatedUpdateIntervalMs: calculatedUpdateIntervalMs
-            };
-            this._log("DEBUG", "Sending WEATHER_DATA to frontend");
-            this.sendSocketNotification("WEATHER_DATA", weatherData);
+    // Keeps the last good WEATHER_DATA payload (with the config it was fetched for) in memory
+    // and on disk (survives restarts)
+    saveCachedData: async function(identifier, weatherData) {
+        const instance = this.getInstance(identifier);
+        instance.lastGood = { configKey: instance.configKey, fetchKey: this.getFetchKey(instance.config), data: weatherData };
+        try {
+            await fs.mkdir(path.join(this.path, CACHE_DIR), { recursive: true });
+            await fs.writeFile(this.getCacheFilePath(identifier), JSON.stringify(instance.lastGood), { encoding: 'utf8' });
+        } catch (error) {
+            this._log("WARN", `Could not write cache file: ${error.message}`);
+        }
+    },
+
+    // Last good result { configKey, fetchKey, data } from memory, or from disk after a restart (null if none).
+    // Data fetched for other cities (region changed at runtime, or files of another instance) is not returned.
+    loadCachedData: async function(identifier) {
+        const instance = this.getInstance(identifier);
+        if (!instance.lastGood) {
+            const cached = await this.readInstanceFile(this.getCacheFilePath, identifier);
+            if (!cached || !cached.data) {
+                return null;
+            }
+            instance.lastGood = cached;
+        }
+        return instance.lastGood.fetchKey === this.getFetchKey(instance.config) ? instance.lastGood : null;
+    },
+
+    // History file of an instance (same key as the cache file)
+    getHistoryFilePath: function(identifier, legacy) {
+        const key = legacy ? identifier.replace(/[^A-Za-z0-9_-]/g, "_") : this.getInstanceKey(identifier);
+        return path.join(this.path, CACHE_DIR, `history_${key}.json`);
+    },
+
+    // TOP1 history of an instance, newest first: [{ city, since, until }] (timestamps in ms, until null for
+    // the current TOP1). Read from disk once after a restart.
+    loadTop1History: async function(identifier) {
+        const instance = this.getInstance(identifier);
+        if (!instance.history) {
+            const history = await this.readInstanceFile(this.getHistoryFilePath, identifier);
+            instance.history = Array.isArray(history) ? history : [];
+        }
+        return instance.history;
+    },
+
+    // Records the TOP1 of a successful fetch. A new city closes the previous entry (until = timestamp) and
+    // starts a new one; the history is trimmed to config.historyLength entries and persisted.
+    updateTop1History: async function(identifier, config, cityName, timestamp) {
+        const instance = this.getInstance(identifier);
+        const history = await this.loadTop1History(identifier);
+        const historyLength = Math.max(1, parseInt(config.historyLength, 10) || DEFAULT_HISTORY_LENGTH);
+
+        const isNewTop1 = history.length === 0 || history[0].city !== cityName;
+        if (!isNewTop1 && history.length <= historyLength) {
+            return history;
+        }
+        if (isNewTop1) {
+            if (history.length > 0) {
+                history[0].until = timestamp;
+            }
+            history.unshift({ city: cityName, since: timestamp, until: null });
+            this._log("DEBUG", `New TOP1 for ${identifier}: ${cityName}`);
+        }
+        instance.history = history.slice(0, historyLength);
+
+        try {
+            await fs.mkdir(path.join(this.path, CACHE_DIR), { recursive: true });
+            await fs.writeFile(this.getHistoryFilePath(identifier), JSON.stringify(instance.history), { encoding: 'utf8' });
+        } catch (error) {
+            this._log("WARN", `Could not write history file: ${error.message}`);
+        }
+        return instance.history;
+    },
+
+    // Leaderboard of the current period from the statistics file: { period, key, updates, leaderboard }
+    // with at most config.leaderboardSize cities, or null if there is no statistics file
+    getLeaderboard: async function(config) {
+        if (!config.statisticsFileName) {
+            return null;
+        }
+        const period = Statistics.PERIODS.indexOf(config.leaderboardPeriod) !== -1 ? config.leaderboardPeriod : "week";
+        try {
+            // Only the rows of the current period: earlier monthly files and SQLite rows are not read
+            const now = new Date();
+            const rows = await Statistics.readStatistics(path.resolve(this.path, config.statisticsFileName), config.statisticsFormat,
+                { since: Statistics.getPeriodStart(now, period) });
+            const result = Statistics.getCurrentLeaderboard(rows, period, now);
+            result.leaderboard = result.leaderboard.slice(0, Math.max(1, config.leaderboardSize || 3));
+            return result;
+        } catch (error) {
+            this._log("WARN", `Could not read statistics for the leaderboard: ${error.message}`);
+            return null;
+        }
+    },
+
+    // Resolves the scoring profile from config; falls back to the default profile on errors
+    getScoreProfile: function(config) {
+        try {
+            return Scoring.resolveProfile(config);
+        } catch (error) {
+            this._log("WARN", `${error.message}, using ${Scoring.DEFAULT_PROFILE}`);
+            return Scoring.resolveProfile(Object.assign({}, config, { scoreProfile: Scoring.DEFAULT_PROFILE }));
+        }
+    },
+
+    // Resolves config.forecastDays / config.forecastHours into local dates (YYYY-MM-DD) and an hour span
+    getForecastWindow: function(config) {
+        const weekdays = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+        const today = new Date();
+        const todayIndex = today.getDay();
+        const spec = config.forecastDays !== undefined ? config.forecastDays : "tomorrow";
+
+        let offsets;
+        if (typeof spec === "number") {
+            offsets = [Math.max(0, Math.min(6, Math.floor(spec)))];
+        } else if (spec === "today") {
+            offsets = [0];
+        } else if (spec === "tomorrow") {
+            offsets = [1];
+        } else if (spec === "weekend") {
+            // Upcoming Saturday and Sunday; on a Sunday only the remaining day counts
+            if (todayIndex === 0) {
+                offsets = [0];
+            } else {
+                offsets = [6 - todayIndex, 7 - todayIndex];
+            }
+        } else if (weekdays.indexOf(String(spec).toLowerCase()) !== -1) {
+            offsets = [(weekdays.indexOf(String(spec).toLowerCase()) - todayIndex + 7) % 7];
         } else {
-            this._log("ERROR", "Could not determine TOP1 city, no data to send");
-            this.sendSocketNotification("WEATHER_ERROR", "BestWeather: Could not determine TOP1 city.");
-            this.sendSocketNotification("WEATHER_DATA", { calculatedUpdateIntervalMs: calculatedUpdateIntervalMs });
+            this._log("WARN", `Unknown forecastDays "${spec}", using "tomorrow"`);
+            offsets = [1];
         }
+
+        const hours = Array.isArray(config.forecastHours) && config.forecastHours.length === 2 ? config.forecastHours : [10, 18];
+        const fromHour = Math.max(0, Math.min(23, hours[0]));
+        const toHour = Math.max(fromHour + 1, Math.min(24, hours[1]));
+
+        const dates = offsets.map(offset => {
+            const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+            return `${day.getFullYear()}-${(day.getMonth() + 1).toString().padStart(2, '0')}-${day.getDate().toString().padStart(2, '0')}`;
+        });
+
+        // Middle of the window on the first day (used for the day/night icon)
+        const midpoint = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offsets[0], 0, (fromHour + toHour) * 30);
+
+        return { dates: dates, fromHour: fromHour, toHour: toHour, midpoint: midpoint };
     },
 
-    getWeatherCodeOverride: function(weatherCode, overrides) {
-        if (overrides && overrides[weatherCode] !== undefined) {
-            return overrides[weatherCode];
+    // Forecast window of nightMode "nextMorning": config.morningHours on the day of the next sunrise at the
+    // reference point (today after midnight, tomorrow before)
+    getMorningWindow: function(config, referencePoint) {
+        const now = new Date();
+        const sunrise = SunCalc.getTimes(now, referencePoint.lat, referencePoint.lon).sunrise;
+        const day = now < sunrise ? now : new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+
+        const hours = Array.isArray(config.morningHours) && config.morningHours.length === 2 ? config.morningHours : DEFAULT_MORNING_HOURS;
+        const fromHour = Math.max(0, Math.min(23, hours[0]));
+        const toHour = Math.max(fromHour + 1, Math.min(24, hours[1]));
+        const date = `${day.getFullYear()}-${(day.getMonth() + 1).toString().padStart(2, '0')}-${day.getDate().toString().padStart(2, '0')}`;
+        const midpoint = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, (fromHour + toHour) * 30);
+
+        return { dates: [date], fromHour: fromHour, toHour: toHour, midpoint: midpoint };
+    },
+
+    // Scores every hour of the forecast window and aggregates the result:
+    // score, sub-scores and raw values are averaged, the weather code is the most frequent one in the window
+    scoreForecastWindow: function(hourlySeries, forecastWindow, profile) {
+        if (!Array.isArray(hourlySeries)) {
+            return null;
         }
-        // Default for unknown weather codes
-        return 0.5;
+
+        const sums = { score: 0, tc: 0, aesthetic: 0, physical: 0, wcOverride: 0, aqMultiplier: 0, temperature: 0, apparentTemperature: 0, precipitation: 0, cloudCover: 0, humidity: 0, windSpeed: 0 };
+        // Air quality values and factors may be missing for single hours (e.g. pollen outside the season)
+        const optionalSums = {};
+        const optionalCounts = {};
+        const addOptional = (key, value) => {
+            if (value !== null && value !== undefined) {
+                optionalSums[key] = (optionalSums[key] || 0) + value;
+                optionalCounts[key] = (optionalCounts[key] || 0) + 1;
+            }
+        };
+        const codeCounts = {};
+        let count = 0;
+
+        hourlySeries.forEach(observation => {
+            // Times are local ("YYYY-MM-DDTHH:MM")
+            const date = observation.time.substring(0, 10);
+            const hour = parseInt(observation.time.substring(11, 13), 10);
+            if (forecastWindow.dates.indexOf(date) === -1 || hour < forecastWindow.fromHour || hour >= forecastWindow.toHour) {
+                return;
+            }
+            if (observation.temperature === null || observation.temperature === undefined) {
+                return;
+            }
+
+            const hourScore = Object.assign({}, observation, Scoring.computeScore(observation, profile));
+            Object.keys(sums).forEach(key => { sums[key] += hourScore[key]; });
+            Object.keys(Scoring.AIR_QUALITY_CURVES).forEach(facet => {
+                addOptional(facet, observation[facet]);
+                addOptional("factor:" + facet, hourScore.aqFactors[facet]);
+            });
+            codeCounts[observation.weatherCode] = (codeCounts[observation.weatherCode] || 0) + 1;
+            count++;
+        });
+
+        if (count === 0) {
+            return null;
+        }
+
+        const result = { aqFactors: {} };
+        Object.keys(sums).forEach(key => { result[key] = sums[key] / count; });
+        Object.keys(Scoring.AIR_QUALITY_CURVES).forEach(facet => {
+            result[facet] = optionalCounts[facet] ? optionalSums[facet] / optionalCounts[facet] : null;
+            if (optionalCounts["factor:" + facet]) {
+                result.aqFactors[facet] = optionalSums["factor:" + facet] / optionalCounts["factor:" + facet];
+            }
+        });
+        // Most frequent weather code; on equal counts the higher (more severe) WMO code wins
+        result.weatherCode = Object.keys(codeCounts)
+            .map(Number)
+            .sort((a, b) => (codeCounts[b] - codeCounts[a]) || (b - a))[0];
+        return result;
+    },
+
+    // Sunrise and sunset (ms) on the day of 'date' at the given location; null in polar day or night
+    getSunTimes: function(latitude, longitude, date) {
+        const times = SunCalc.getTimes(date || new Date(), latitude, longitude);
+        if (isNaN(times.sunrise.getTime()) || isNaN(times.sunset.getTime())) {
+            return null;
+        }
+        return { sunrise: times.sunrise.getTime(), sunset: times.sunset.getTime() };
+    },
+
+    // Returns true if the sun is above the horizon at the given location (default: now)
+    isDayAt: function(latitude, longitude, date) {
+        const when = date || new Date();
+        const times = SunCalc.getTimes(when, latitude, longitude);
+        return when > times.sunrise && when < times.sunset;
     },
 
     getWeatherIcon: function(weatherCode, isDay) {
@@ -0,0 +1,40 @@
+/**
+ * @file test/helpers/fake-server.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description Local HTTP server standing in for a provider API in the provider tests (options.baseUrl).
+ *              handler(url, req) returns { status, body } (body is sent as JSON); without a reply the server
+ *              answers 404. Every request is recorded with its parsed URL and headers.
+ *
+ * @changelog
+ *   2026-10-19: Initial version (provider tests).
+ */
+
+const http = require("http");
+
+async function startFakeServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        requests.push({ url: url, headers: req.headers });
+        const reply = handler(url, req) || { status: 404, body: { error: "not found" } };
+        res.writeHead(reply.status || 200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(reply.body));
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests: requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// Latitudes of a multi-location request (Open-Meteo style ?latitude=1,2,3)
+function latitudesOf(url) {
+    return (url.searchParams.get("latitude") || "").split(",").filter(value => value !== "").map(Number);
+}
+
+module.exports = {
+    startFakeServer,
+    latitudesOf
+};
@@ -0,0 +1,59 @@
+/**
+ * @file test/providers/airquality.test.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description Open-Meteo air quality API against a local fake server: current values, missing pollen,
+ *              hourly series and partial batch failures.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const AirQuality = require("../../lib/providers/airquality");
+const { startFakeServer, latitudesOf } = require("../helpers/fake-server");
+
+const CITIES = [1, 2, 3].map(n => ({ city: `City ${n}`, lat: n, lon: 10 + n }));
+
+describe("Open-Meteo air quality", () => {
+    let server;
+
+    before(async () => {
+        server = await startFakeServer(url => {
+            if (url.pathname !== "/v1/air-quality") {
+                return null;
+            }
+            const latitudes = latitudesOf(url);
+            if (latitudes.indexOf(3) !== -1) {
+                return { status: 502, body: { error: "bad gateway" } };
+            }
+            const entries = latitudes.map(lat => (url.searchParams.get("hourly")
+                ? { hourly: { time: ["2026-10-19T10:00"], european_aqi: [30 + lat], uv_index: [2], birch_pollen: [null] } }
+                : { current: { european_aqi: 20 + lat, uv_index: 4, birch_pollen: 80, grass_pollen: null } }));
+            return { body: entries.length === 1 ? entries[0] : entries };
+        });
+    });
+
+    after(() => server.close());
+
+    it("queries the air quality path and maps missing values to null", async () => {
+        let queried = 0;
+        const results = await AirQuality.fetchCurrent(CITIES.slice(0, 2), { baseUrl: server.baseUrl, onQuery: count => { queried += count; } });
+
+        assert.equal(queried, 2);
+        assert.equal(server.requests[server.requests.length - 1].url.searchParams.get("current"), "european_aqi,uv_index,birch_pollen,grass_pollen");
+        assert.deepEqual(results, [
+            { europeanAqi: 21, uvIndex: 4, birchPollen: 80, grassPollen: null },
+            { europeanAqi: 22, uvIndex: 4, birchPollen: 80, grassPollen: null }
+        ]);
+    });
+
+    it("drops only the cities of a failed batch", async () => {
+        const results = await AirQuality.fetchCurrent(CITIES, { baseUrl: server.baseUrl, batchSize: 2 });
+        assert.equal(results[2], null);
+        assert.equal(results[0].europeanAqi, 21);
+    });
+
+    it("returns hourly series with fields missing from the response as null", async () => {
+        const results = await AirQuality.fetchHourly([CITIES[0]], { baseUrl: server.baseUrl });
+        assert.deepEqual(results, [[{ time: "2026-10-19T10:00", europeanAqi: 31, uvIndex: 2, birchPollen: null, grassPollen: null }]]);
+    });
+});
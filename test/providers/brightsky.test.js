@@ -0,0 +1,75 @@
+/**
+ * @file test/providers/brightsky.test.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description Bright Sky provider against a local fake server: normalization of current weather and hourly
+ *              records, and failing cities.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const BrightSky = require("../../lib/providers/brightsky");
+const { toLocalHourString } = require("../../lib/providers/common");
+const { startFakeServer } = require("../helpers/fake-server");
+
+const CITIES = [
+    { city: "Freiburg", lat: 47.99, lon: 7.84 },
+    { city: "Broken", lat: 50, lon: 8 },
+    { city: "Kiel", lat: 54.32, lon: 10.13 }
+];
+
+describe("Bright Sky provider", () => {
+    let server;
+
+    before(async () => {
+        server = await startFakeServer(url => {
+            if (url.searchParams.get("lat") === "50") {
+                return { status: 500, body: { error: "internal" } };
+            }
+            if (url.pathname === "/current_weather") {
+                const rain = url.searchParams.get("lat") === "54.32";
+                return { body: { weather: { temperature: 15, relative_humidity: 60, cloud_cover: 30, precipitation_60: rain ? 0.2 : 0, wind_speed_10: 12, condition: rain ? "rain" : "dry" } } };
+            }
+            if (url.pathname === "/weather") {
+                return { body: { weather: [
+                    { timestamp: "2026-10-19T10:00:00+00:00", temperature: 12, relative_humidity: 70, cloud_cover: 90, precipitation: 3, wind_speed: 8, condition: "rain" },
+                    { timestamp: "2026-10-19T11:00:00+00:00", temperature: null, condition: "dry" }
+                ] } };
+            }
+            return null;
+        });
+    });
+
+    after(() => server.close());
+
+    it("normalizes the current weather and keeps the other cities when one fails", async () => {
+        let queried = 0;
+        const results = await BrightSky.fetchCurrent(CITIES, { baseUrl: server.baseUrl, onQuery: count => { queried += count; } });
+
+        assert.equal(queried, 3);
+        assert.equal(results[1], null);
+        assert.equal(results[0].temperature, 15);
+        assert.equal(results[0].weatherCode, 1); // Dry with 30 % cloud cover
+        assert.equal(results[0].windSpeed, 12);
+        assert.equal(typeof results[0].apparentTemperature, "number");
+        assert.equal(results[2].weatherCode, 53); // Rain below 0.5 mm counts as drizzle (moderate from 0.2 mm)
+        assert.equal(results[2].precipitation, 0.2);
+    });
+
+    it("throws the HTTP error when every city fails", async () => {
+        await assert.rejects(BrightSky.fetchCurrent([CITIES[1]], { baseUrl: server.baseUrl }), /HTTP 500/);
+    });
+
+    it("returns hourly records in local time and skips records without temperature", async () => {
+        const results = await BrightSky.fetchHourly([CITIES[0]], { baseUrl: server.baseUrl });
+        const request = server.requests[server.requests.length - 1].url;
+
+        assert.equal(request.pathname, "/weather");
+        assert.ok(request.searchParams.get("date") && request.searchParams.get("last_date"));
+        assert.equal(results[0].length, 1);
+        assert.equal(results[0][0].time, toLocalHourString(new Date("2026-10-19T10:00:00+00:00")));
+        assert.equal(results[0][0].weatherCode, 63); // Rain of 3 mm/h
+        assert.equal(results[0][0].cloudCover, 90);
+    });
+});
+
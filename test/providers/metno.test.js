@@ -0,0 +1,73 @@
+/**
+ * @file test/providers/metno.test.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description MET Norway provider against a local fake server: User-Agent, symbol codes, unit conversion,
+ *              hourly series and failing cities.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const MetNo = require("../../lib/providers/metno");
+const { toLocalHourString } = require("../../lib/providers/common");
+const { startFakeServer } = require("../helpers/fake-server");
+
+const CITIES = [
+    { city: "Oslo", lat: 59.9139, lon: 10.7522 },
+    { city: "Broken", lat: 50, lon: 8 }
+];
+
+function entry(time, temperature, symbolCode, precipitation) {
+    return {
+        time: time,
+        data: {
+            instant: { details: { air_temperature: temperature, relative_humidity: 80, cloud_area_fraction: 95, wind_speed: 5 } },
+            next_1_hours: { summary: { symbol_code: symbolCode }, details: { precipitation_amount: precipitation } }
+        }
+    };
+}
+
+describe("MET Norway provider", () => {
+    let server;
+
+    before(async () => {
+        server = await startFakeServer(url => {
+            if (url.pathname !== "/weatherapi/locationforecast/2.0/compact") {
+                return null;
+            }
+            if (url.searchParams.get("lat") === "50.0000") {
+                return { status: 503, body: { error: "unavailable" } };
+            }
+            return { body: { properties: { timeseries: [
+                entry("2026-10-19T10:00:00Z", 8, "lightrainshowers_day", 0.4),
+                entry("2026-10-19T11:00:00Z", 9, "heavyrainandthunder", 4)
+            ] } } };
+        });
+    });
+
+    after(() => server.close());
+
+    it("sends the User-Agent and normalizes the first timeseries entry", async () => {
+        const results = await MetNo.fetchCurrent(CITIES, { baseUrl: server.baseUrl, userAgent: "test-agent/1.0" });
+        const request = server.requests.find(item => item.url.searchParams.get("lat") === "59.9139");
+
+        assert.equal(request.headers["user-agent"], "test-agent/1.0");
+        assert.equal(results[1], null);
+        assert.equal(results[0].temperature, 8);
+        assert.equal(results[0].weatherCode, 80); // lightrainshowers, suffix _day ignored
+        assert.equal(results[0].precipitation, 0.4);
+        assert.equal(results[0].windSpeed, 18); // 5 m/s
+        assert.equal(results[0].humidity, 80);
+        assert.equal(results[0].cloudCover, 95);
+    });
+
+    it("throws the HTTP error when every city fails", async () => {
+        await assert.rejects(MetNo.fetchCurrent([CITIES[1]], { baseUrl: server.baseUrl }), /HTTP 503/);
+    });
+
+    it("returns the timeseries as hourly series in local time", async () => {
+        const results = await MetNo.fetchHourly([CITIES[0]], { baseUrl: server.baseUrl });
+        assert.deepEqual(results[0].map(item => item.time), ["2026-10-19T10:00:00Z", "2026-10-19T11:00:00Z"].map(time => toLocalHourString(new Date(time))));
+        assert.equal(results[0][1].weatherCode, 95); // Any thunder symbol
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * @file test/providers/openmeteo.test.js
+ * @author Dr. Ralf Korell (2026)
+ * @license MIT
+ * @description Open-Meteo provider against a local fake server: batching, single-location responses,
+ *              partial batch failures and hourly series.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const OpenMeteo = require("../../lib/providers/openmeteo");
+const { startFakeServer, latitudesOf } = require("../helpers/fake-server");
+
+const CITIES = [1, 2, 3, 4, 5].map(n => ({ city: `City ${n}`, lat: n, lon: 10 + n }));
+const FAILING_LATITUDE = 3; // Batches containing this latitude answer HTTP 502 in the failure tests
+
+function current(lat) {
+    return { current: { temperature_2m: 10 + lat, apparent_temperature: 9 + lat, weathercode: 2, precipitation: 0.1, cloud_cover: 40, relative_humidity_2m: 60, wind_speed_10m: 12 } };
+}
+
+function hourly(lat) {
+    const time = ["2026-10-19T10:00", "2026-10-19T11:00"];
+    return { hourly: { time: time, temperature_2m: [lat, lat + 1], apparent_temperature: [lat, lat], weathercode: [0, 3], precipitation: [0, 0], cloud_cover: [0, 90], relative_humidity_2m: [50, 55], wind_speed_10m: [5, 6] } };
+}
+
+describe("Open-Meteo provider", () => {
+    let server;
+    let failBatches = false;
+
+    before(async () => {
+        server = await startFakeServer(url => {
+            if (url.pathname !== "/v1/forecast") {
+                return null;
+            }
+            const latitudes = latitudesOf(url);
+            if (failBatches && latitudes.indexOf(FAILING_LATITUDE) !== -1) {
+                return { status: 502, body: { error: "bad gateway" } };
+            }
+            const entries = latitudes.map(lat => (url.searchParams.get("hourly") ? hourly(lat) : current(lat)));
+            // Open-Meteo answers a single location with an object instead of an array
+            return { body: entries.length === 1 ? entries[0] : entries };
+        });
+    });
+
+    after(() => server.close());
+
+    it("splits the cities into batches and merges the results in city order", async () => {
+        server.requests.length = 0;
+        let queried = 0;
+        const results = await OpenMeteo.fetchCurrent(CITIES, { baseUrl: server.baseUrl, batchSize: 2, onQuery: count => { queried += count; } });
+
+        assert.deepEqual(server.requests.map(request => latitudesOf(request.url)).sort(), [[1, 2], [3, 4], [5]]);
+        assert.equal(queried, 5);
+        assert.deepEqual(results.map(entry => entry.temperature), [11, 12, 13, 14, 15]);
+        assert.deepEqual(results[0], { temperature: 11, apparentTemperature: 10, weatherCode: 2, precipitation: 0.1, cloudCover: 40, humidity: 60, windSpeed: 12 });
+    });
+
+    it("accepts the single object response of a one-location request", async () => {
+        const results = await OpenMeteo.fetchCurrent([CITIES[1]], { baseUrl: server.baseUrl });
+        assert.equal(results.length, 1);
+        assert.equal(results[0].temperature, 12);
+    });
+
+    it("drops only the cities of a failed batch", async () => {
+        failBatches = true;
+        try {
+            const results = await OpenMeteo.fetchCurrent(CITIES, { baseUrl: server.baseUrl, batchSize: 2 });
+            assert.deepEqual(results.map(entry => (entry ? entry.temperature : null)), [11, 12, null, null, 15]);
+        } finally {
+            failBatches = false;
+        }
+    });
+
+    it("throws the HTTP error when every batch fails", async () => {
+        failBatches = true;
+        try {
+            await assert.rejects(OpenMeteo.fetchCurrent([CITIES[2]], { baseUrl: server.baseUrl }), /HTTP 502/);
+        } finally {
+            failBatches = false;
+        }
+    });
+
+    it("returns hourly series with the local time", async () => {
+        const results = await OpenMeteo.fetchHourly(CITIES.slice(0, 2), { baseUrl: server.baseUrl });
+        assert.equal(results.length, 2);
+        assert.deepEqual(results[1].map(entry => entry.time), ["2026-10-19T10:00", "2026-10-19T11:00"]);
+        assert.deepEqual(results[1][1], { time: "2026-10-19T11:00", temperature: 3, apparentTemperature: 2, weatherCode: 3, precipitation: 0, cloudCover: 90, humidity: 55, windSpeed: 6 });
+    });
+});